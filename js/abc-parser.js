@@ -0,0 +1,554 @@
+// ===== ABC НОТАЦИЯ → JSON ДЛЯ MIDIWRITER =====
+//
+// Поддерживается: заголовки X/T/M/L/Q/K (и поля в строке [K:...], [M:...], [L:...], [Q:...]),
+// ноты с альтерациями (^ ^^ _ __ =) и октавами (' ,), длительности (2, /2, 3/2, //),
+// паузы z/x/Z, тактовые черты, повторы |: :| :: с вольтами [1 [2, аккорды [CEG],
+// n-оли (3abc и (p:q:r, пунктирный ритм > <, лиги -.
+// Украшения, гармонии в кавычках, форшлаги {}, слова w: и голоса V: пропускаются.
+// Разбирается первая мелодия файла (до следующего X:).
+//
+// Результат — JSON для MIDIWriter во времени четвертями (timeUnit: 'beats'):
+//   { timeUnit, ppq, tempoMap, tracks: [{ name, channel, program, events, notes }] }
+
+const NOTE_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Число диезов (минус — бемолей) мажорной тональности по тонике
+const MAJOR_KEY_SHARPS = {
+    'Fb': -8, 'Cb': -7, 'Gb': -6, 'Db': -5, 'Ab': -4, 'Eb': -3, 'Bb': -2, 'F': -1,
+    'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'C#': 7,
+    'G#': 8, 'D#': 9, 'A#': 10, 'E#': 11, 'B#': 12
+};
+
+// Сдвиг числа знаков для лада относительно мажора с той же тоникой
+const MODE_OFFSETS = { maj: 0, ion: 0, mix: -1, dor: -2, m: -3, min: -3, aeo: -3, phr: -4, loc: -5, lyd: 1 };
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+const DEFAULT_VELOCITY = 90;
+const DEFAULT_BPM = 120;
+
+// "3/4" → 0.75; "2+3/8" → 0.625
+function parseFraction(value) {
+    const match = /^\s*([\d+]+)\s*\/\s*(\d+)/.exec(value);
+    if (!match) return null;
+    const numerator = match[1].split('+').reduce((sum, part) => sum + (parseInt(part) || 0), 0);
+    return { numerator, denominator: parseInt(match[2]), value: numerator / parseInt(match[2]) };
+}
+
+// M: → { numerator, denominator }; C — 4/4, C| — 2/2, none — свободный размер (считаем 4/4)
+function parseMeter(value) {
+    const text = value.trim();
+    if (text === 'C') return { numerator: 4, denominator: 4 };
+    if (text === 'C|') return { numerator: 2, denominator: 2 };
+    const fraction = parseFraction(text);
+    if (!fraction) return { numerator: 4, denominator: 4, free: true };
+    return { numerator: fraction.numerator, denominator: fraction.denominator };
+}
+
+// K: → { sharps, minor, accidentals: { буква: сдвиг } }
+function parseKey(value) {
+    const text = value.trim();
+    const match = /^([A-G])([#b]?)\s*([A-Za-z]*)/.exec(text);
+    if (!match || /^(none|HP|Hp)\b/.test(text)) {
+        return { sharps: 0, minor: false, accidentals: {} };
+    }
+
+    const mode = match[3].toLowerCase();
+    const modeKey = mode === 'm' ? 'm' : mode.slice(0, 3);
+    const offset = MODE_OFFSETS[modeKey] ?? 0;
+    const sharps = Math.max(-7, Math.min(7, MAJOR_KEY_SHARPS[match[1] + match[2]] + offset));
+
+    const accidentals = {};
+    for (let i = 0; i < sharps; i++) accidentals[SHARP_ORDER[i]] = 1;
+    for (let i = 0; i < -sharps; i++) accidentals[FLAT_ORDER[i]] = -1;
+
+    return { sharps, minor: offset === -3, accidentals };
+}
+
+// Q: → BPM в четвертях. "1/4=120", "3/8=60", "Allegro" 1/4=140, старая форма "Q:120" — в единицах L
+function parseTempo(value, unitLength) {
+    const text = value.replace(/"[^"]*"/g, '').trim();
+    const equals = text.indexOf('=');
+    if (equals < 0) {
+        const count = parseFloat(text);
+        return count > 0 ? count * unitLength * 4 : null;
+    }
+    const beat = text.slice(0, equals).trim().split(/\s+/)
+        .map(parseFraction)
+        .filter(Boolean)
+        .reduce((sum, fraction) => sum + fraction.value, 0);
+    const count = parseFloat(text.slice(equals + 1));
+    if (!(count > 0)) return null;
+    return count * (beat > 0 ? beat : 0.25) * 4;
+}
+
+export class ABCParser {
+    constructor(text) {
+        this.lines = text.replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    // Разбор первой мелодии → JSON для MIDIWriter
+    parse() {
+        this.title = null;
+        this.meter = { numerator: 4, denominator: 4 };
+        this.unitLength = null;
+        this.key = parseKey('C');
+        this.elements = [];
+        this.inBody = false;
+        this.barAccidentals = {}; // Случайные знаки текущего такта: нота+октава → сдвиг
+        this.tuplet = null;       // { factor, remaining }
+        this.brokenFactor = null; // Множитель длительности следующей ноты после > или <
+        this.lastTimed = null;    // Последняя нота или пауза
+
+        this.readTune();
+        if (!this.elements.some(element => element.kind === 'note')) {
+            throw new Error('В ABC не найдено ни одной ноты');
+        }
+        return this.buildJSON(this.expandRepeats(this.elements));
+    }
+
+    // ===== ЗАГОЛОВОК И СТРОКИ МЕЛОДИИ =====
+
+    readTune() {
+        let seenIndex = false;
+        let pendingTempo = null;
+
+        for (const rawLine of this.lines) {
+            const line = rawLine.replace(/%.*$/, '').trimEnd();
+            const field = /^([A-Za-z]):\s*(.*)$/.exec(line);
+
+            if (field) {
+                const [, name, value] = field;
+                if (name === 'X') {
+                    if (seenIndex) break; // Следующая мелодия
+                    seenIndex = true;
+                    continue;
+                }
+                if (name === 'Q' && !this.inBody) {
+                    // Темп в заголовке может идти раньше L: — считаем его после K:
+                    pendingTempo = value;
+                    continue;
+                }
+                this.applyField(name, value);
+                if (name === 'K' && !this.inBody) {
+                    this.inBody = true;
+                    if (pendingTempo !== null) this.applyField('Q', pendingTempo);
+                }
+                continue;
+            }
+
+            if (!this.inBody) continue;
+            if (line.trim() === '') {
+                if (this.lastTimed) break; // Пустая строка завершает мелодию
+                continue;
+            }
+            this.readMusic(line);
+        }
+    }
+
+    // Поле заголовка или поле внутри мелодии
+    applyField(name, value) {
+        switch (name) {
+            case 'T':
+                if (this.title === null) this.title = value.trim();
+                break;
+            case 'M': {
+                this.meter = parseMeter(value);
+                this.elements.push({ kind: 'meter', meter: this.meter });
+                break;
+            }
+            case 'L': {
+                const fraction = parseFraction(value);
+                if (fraction) this.unitLength = fraction.value;
+                break;
+            }
+            case 'Q': {
+                const bpm = parseTempo(value, this.getUnitLength());
+                if (bpm) this.elements.push({ kind: 'tempo', bpm });
+                break;
+            }
+            case 'K':
+                this.key = parseKey(value);
+                this.elements.push({ kind: 'key', key: this.key });
+                this.barAccidentals = {};
+                break;
+        }
+    }
+
+    // L: по умолчанию — 1/16 для размеров меньше 3/4, иначе 1/8
+    getUnitLength() {
+        if (this.unitLength !== null) return this.unitLength;
+        return this.meter.numerator / this.meter.denominator < 0.75 ? 1 / 16 : 1 / 8;
+    }
+
+    // ===== НОТЫ =====
+
+    readMusic(line) {
+        this.text = line;
+        this.pos = 0;
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+
+            if (char === ' ' || char === '\t' || char === '`' || char === ')' || char === '\\' || char === '&') {
+                this.pos++;
+            } else if (char === '"') {
+                this.skipUntil('"'); // Гармония или надпись
+            } else if (char === '!' || char === '+') {
+                this.skipUntil(char); // Украшение !trill!
+            } else if (char === '{') {
+                this.skipUntil('}'); // Форшлаги не воспроизводим
+            } else if (char === '(') {
+                this.readTuplet();
+            } else if (char === '-') {
+                this.markTie();
+                this.pos++;
+            } else if (char === '>' || char === '<') {
+                this.readBrokenRhythm();
+            } else if (char === '[' && /^\[[A-Za-z]:/.test(this.text.slice(this.pos))) {
+                this.readInlineField();
+            } else if (char === '[' && /^\[\d/.test(this.text.slice(this.pos))) {
+                this.pos++;
+                this.readEnding();
+            } else if (char === '|' || char === ':' || (char === '[' && this.text[this.pos + 1] === '|')) {
+                this.readBar();
+            } else if (char === '[') {
+                this.readChord();
+            } else if (/[\^_=A-Ga-g]/.test(char)) {
+                const pitch = this.readPitch();
+                this.addNote([pitch], this.readLength());
+            } else if (char === 'z' || char === 'x') {
+                this.pos++;
+                this.addRest(this.readLength());
+            } else if (char === 'Z' || char === 'X') {
+                this.pos++;
+                const bars = parseInt(this.readDigits()) || 1;
+                this.addRest(bars * this.meter.numerator / this.meter.denominator, true);
+            } else {
+                this.pos++; // Сокращённые украшения (. ~ H T u v ...) и прочее
+            }
+        }
+    }
+
+    skipUntil(closing) {
+        const end = this.text.indexOf(closing, this.pos + 1);
+        this.pos = end < 0 ? this.text.length : end + 1;
+    }
+
+    readDigits() {
+        const match = /\d*/y;
+        match.lastIndex = this.pos;
+        const digits = match.exec(this.text)[0];
+        this.pos += digits.length;
+        return digits;
+    }
+
+    // Длительность после ноты в долях целой: 2, /2, //, 3/2
+    readLength() {
+        const pattern = /(\d*)(\/*)(\d*)/y;
+        pattern.lastIndex = this.pos;
+        const [whole, numerator, slashes, denominator] = pattern.exec(this.text);
+        this.pos += whole.length;
+
+        let length = numerator ? parseInt(numerator) : 1;
+        if (slashes.length > 0) {
+            length /= denominator ? parseInt(denominator) : Math.pow(2, slashes.length);
+        }
+        return length * this.getUnitLength();
+    }
+
+    // Высота ноты с учётом тональности и случайных знаков в такте (MIDI, C — 60)
+    readPitch() {
+        const pattern = /(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)/y;
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.text);
+        if (!match) {
+            this.pos++;
+            return null;
+        }
+        this.pos += match[0].length;
+
+        const [, accidental, letter, octaveMarks] = match;
+        const upper = letter.toUpperCase();
+        let octave = letter === upper ? 0 : 1;
+        for (const mark of octaveMarks) octave += mark === "'" ? 1 : -1;
+
+        // Случайный знак действует до конца такта на эту ноту в этой октаве
+        const barKey = upper + octave;
+        if (accidental) {
+            this.barAccidentals[barKey] = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[accidental];
+        }
+        const shift = this.barAccidentals[barKey] ?? this.key.accidentals[upper] ?? 0;
+
+        return 60 + octave * 12 + NOTE_SEMITONES[upper] + shift;
+    }
+
+    readChord() {
+        this.pos++; // [
+        const pitches = [];
+        let innerLength = null;
+        while (this.pos < this.text.length && this.text[this.pos] !== ']') {
+            if (/[\^_=A-Ga-g]/.test(this.text[this.pos])) {
+                const pitch = this.readPitch();
+                const length = this.readLength();
+                if (pitch !== null) pitches.push(pitch);
+                if (innerLength === null) innerLength = length;
+            } else {
+                this.pos++;
+            }
+        }
+        this.pos++; // ]
+        // Длительность аккорда — длительность первой ноты, умноженная на множитель после ]
+        const multiplier = this.readLength() / this.getUnitLength();
+        if (pitches.length > 0) {
+            this.addNote(pitches, (innerLength ?? this.getUnitLength()) * multiplier);
+        }
+    }
+
+    addNote(pitches, length) {
+        const valid = pitches.filter(pitch => pitch !== null && pitch >= 0 && pitch <= 127);
+        if (valid.length === 0) return;
+        this.pushTimed({ kind: 'note', pitches: valid, length, tie: false });
+    }
+
+    addRest(length, wholeBars = false) {
+        this.pushTimed({ kind: 'rest', length }, wholeBars);
+    }
+
+    // Нота или пауза: применяет n-оль и пунктирный ритм
+    pushTimed(element, wholeBars = false) {
+        if (!wholeBars && this.tuplet) {
+            element.length *= this.tuplet.factor;
+            if (--this.tuplet.remaining === 0) this.tuplet = null;
+        }
+        if (this.brokenFactor) {
+            element.length *= this.brokenFactor;
+            this.brokenFactor = null;
+        }
+        this.elements.push(element);
+        this.lastTimed = element;
+    }
+
+    markTie() {
+        if (this.lastTimed && this.lastTimed.kind === 'note') {
+            this.lastTimed.tie = true;
+        }
+    }
+
+    // a>b: первая нота длиннее в 1.5 раза, вторая короче вдвое; >> — в 1.75 и 4 раза
+    readBrokenRhythm() {
+        const char = this.text[this.pos];
+        let count = 0;
+        while (this.text[this.pos] === char) {
+            count++;
+            this.pos++;
+        }
+        if (!this.lastTimed) return;
+        const short = 1 / Math.pow(2, count);
+        const long = 2 - short;
+        this.lastTimed.length *= char === '>' ? long : short;
+        this.brokenFactor = char === '>' ? short : long;
+    }
+
+    // (3abc — триоль; (p:q:r — p нот в длительности q на следующих r нотах
+    readTuplet() {
+        const pattern = /\((\d+)(?::(\d*))?(?::(\d*))?/y;
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.text);
+        if (!match) {
+            this.pos++; // Начало лиги
+            return;
+        }
+        this.pos += match[0].length;
+
+        const p = parseInt(match[1]);
+        const compound = this.meter.numerator % 3 === 0 && this.meter.numerator > 3;
+        const defaultQ = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[p] ?? (compound ? 3 : 2);
+        const q = parseInt(match[2]) || defaultQ;
+        const r = parseInt(match[3]) || p;
+        this.tuplet = { factor: q / p, remaining: r };
+    }
+
+    readInlineField() {
+        const end = this.text.indexOf(']', this.pos);
+        const content = this.text.slice(this.pos + 1, end < 0 ? this.text.length : end);
+        this.pos = end < 0 ? this.text.length : end + 1;
+        this.applyField(content[0], content.slice(2));
+    }
+
+    // Тактовая черта: | || |] [| |: :| :: и вольта сразу после неё (|1, :|2)
+    readBar() {
+        const pattern = /(?:\[\||:*\|+|:+)[|\]:]*/y;
+        pattern.lastIndex = this.pos;
+        const token = pattern.exec(this.text)[0];
+        this.pos += token.length;
+
+        this.elements.push({
+            kind: 'bar',
+            endRepeat: token.startsWith(':'),
+            startRepeat: token.endsWith(':') && token.length > 1 || token === '::',
+            closesSection: token.includes(']') || token.includes('||') || token.startsWith('[|')
+        });
+        this.barAccidentals = {};
+
+        if (/^\[?\d/.test(this.text.slice(this.pos))) {
+            if (this.text[this.pos] === '[') this.pos++;
+            this.readEnding();
+        }
+    }
+
+    // Номер вольты: 1, 2, 1,3, 1-3
+    readEnding() {
+        const pattern = /\d+(?:[,-]\d+)*/y;
+        pattern.lastIndex = this.pos;
+        const token = pattern.exec(this.text)[0];
+        this.pos += token.length;
+
+        const endings = [];
+        token.split(',').forEach(part => {
+            const [from, to] = part.split('-').map(Number);
+            for (let n = from; n <= (to || from); n++) endings.push(n);
+        });
+        this.elements.push({ kind: 'ending', endings });
+    }
+
+    // ===== ПОВТОРЫ =====
+
+    // Разворачивает |: ... :| и вольты в линейную последовательность
+    expandRepeats(elements) {
+        const result = [];
+        let sectionStart = 0;
+        let pass = 1;
+        let repeated = false;   // Секция уже проиграна второй раз
+        let endings = null;     // Номера текущей вольты
+
+        for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+
+            if (element.kind === 'ending') {
+                endings = element.endings;
+                continue;
+            }
+
+            if (element.kind === 'bar') {
+                if (element.endRepeat) {
+                    if (!repeated) {
+                        // Второй проход секции
+                        pass = 2;
+                        repeated = true;
+                        endings = null;
+                        i = sectionStart - 1;
+                        continue;
+                    }
+                    // Конец второго прохода: дальше может идти вторая вольта
+                    sectionStart = i + 1;
+                    repeated = false;
+                    endings = null;
+                }
+                if (element.startRepeat) {
+                    // Новая секция: вольта предыдущей (|2 после :|) на неё не действует
+                    sectionStart = i + 1;
+                    pass = 1;
+                    repeated = false;
+                    endings = null;
+                }
+                if (element.closesSection) {
+                    endings = null;
+                }
+                result.push(element);
+                continue;
+            }
+
+            if (endings) {
+                if (!endings.includes(pass)) continue;
+            } else if (pass === 2 && !repeated) {
+                // После повтора и вольт начинается новая секция
+                pass = 1;
+            }
+            result.push(element);
+        }
+
+        return result;
+    }
+
+    // ===== JSON =====
+
+    buildJSON(elements) {
+        const notes = [];
+        const events = [];
+        const tempoMap = [];
+        const tied = new Map(); // высота → нота, продолжаемая лигой
+        let time = 0; // В четвертях
+
+        elements.forEach(element => {
+            switch (element.kind) {
+                case 'meter':
+                    events.push({
+                        type: 'timeSignature',
+                        time,
+                        numerator: element.meter.numerator,
+                        denominator: element.meter.denominator
+                    });
+                    break;
+                case 'key':
+                    events.push({ type: 'keySignature', time, key: element.key.sharps, scale: element.key.minor ? 1 : 0 });
+                    break;
+                case 'tempo':
+                    tempoMap.push({ time, bpm: element.bpm });
+                    break;
+                case 'rest':
+                    time += element.length * 4;
+                    tied.clear();
+                    break;
+                case 'note': {
+                    const duration = element.length * 4;
+                    const stillTied = new Map();
+                    element.pitches.forEach(pitch => {
+                        let note = tied.get(pitch);
+                        if (note && Math.abs(note.time + note.duration - time) < 1e-9) {
+                            note.duration += duration;
+                        } else {
+                            note = { note: pitch, time, duration, velocity: DEFAULT_VELOCITY };
+                            notes.push(note);
+                        }
+                        if (element.tie) stillTied.set(pitch, note);
+                    });
+                    tied.clear();
+                    stillTied.forEach((note, pitch) => tied.set(pitch, note));
+                    time += duration;
+                    break;
+                }
+            }
+        });
+
+        // Повторы (M:/K: в повторяемой секции) не дают новых событий; смена на том же тике заменяет прежнюю
+        const uniqueEvents = [];
+        const lastOfType = {};
+        events.forEach(event => {
+            const previous = lastOfType[event.type];
+            if (previous && JSON.stringify({ ...previous, time: 0 }) === JSON.stringify({ ...event, time: 0 })) return;
+            if (previous && previous.time === event.time) {
+                uniqueEvents.splice(uniqueEvents.indexOf(previous), 1);
+            }
+            uniqueEvents.push(event);
+            lastOfType[event.type] = event;
+        });
+        if (tempoMap.length === 0) {
+            tempoMap.push({ time: 0, bpm: DEFAULT_BPM });
+        }
+
+        return {
+            timeUnit: 'beats',
+            ppq: 480,
+            tempoMap,
+            tracks: [{
+                name: this.title || 'ABC',
+                channel: 0,
+                program: 0,
+                events: uniqueEvents,
+                notes
+            }]
+        };
+    }
+}
@@ -0,0 +1,301 @@
+// ===== КОНТРОЛЛЕРЫ КАНАЛОВ =====
+//
+// Из событий Song один раз строятся линии времени (в секундах песни) по каждому каналу:
+//   громкость — CC7 × CC11 (кривая GM: (v/127)², по умолчанию 100 и 127),
+//   панорама — CC10 (-1..1), высота — pitch bend × диапазон (RPN 0, по умолчанию ±2 полутона) в центах,
+//   модуляция — CC1 как глубина вибрато в центах.
+// Педали меняют сами ноты: CC64 (sustain) и CC66 (sostenuto) продлевают конец ноты до отпускания,
+// CC67 (soft) приглушает ноты, взятые при нажатой педали. CC121 сбрасывает контроллеры (RP-015).
+// Program change с банком (CC0/CC32) действует с момента события: у каждой ноты — свой тембр.
+// Линии применяются к AudioParam — одинаково для живого AudioContext и для OfflineAudioContext.
+
+const CHANNEL_COUNT = 16;
+const DEFAULT_VOLUME = 100;
+const DEFAULT_EXPRESSION = 127;
+const DEFAULT_PAN = 64;
+const DEFAULT_BEND_RANGE = 2; // Полутоны
+const MAX_VIBRATO_CENTS = 50;
+const VIBRATO_RATE = 5.5; // Гц
+const SOFT_PEDAL_VELOCITY = 0.7;
+const PEDAL_DOWN = 64;
+
+const CC = {
+    BANK_SELECT: 0,
+    MODULATION: 1,
+    DATA_ENTRY: 6,
+    VOLUME: 7,
+    PAN: 10,
+    EXPRESSION: 11,
+    BANK_SELECT_LSB: 32,
+    DATA_ENTRY_LSB: 38,
+    SUSTAIN: 64,
+    SOSTENUTO: 66,
+    SOFT: 67,
+    RPN_LSB: 100,
+    RPN_MSB: 101,
+    RESET_ALL: 121
+};
+
+// Индекс последней точки с time <= value (точка 0 — значение по умолчанию на времени 0)
+function pointAt(points, time) {
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (points[mid].time <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+function volumeGain(volume, expression) {
+    return Math.pow(volume / 127, 2) * Math.pow(expression / 127, 2);
+}
+
+function panPosition(value) {
+    return Math.max(-1, Math.min(1, (value - 64) / 63));
+}
+
+// Точка линии; несколько изменений в один момент — действует последнее
+function pushPoint(points, time, value) {
+    const last = points[points.length - 1];
+    if (last.time === time) {
+        last.value = value;
+    } else if (last.value !== value) {
+        points.push({ time, value });
+    }
+}
+
+export class ChannelControls {
+    constructor(song) {
+        this.timelines = Array.from({ length: CHANNEL_COUNT }, () => ({
+            volume: [{ time: 0, value: volumeGain(DEFAULT_VOLUME, DEFAULT_EXPRESSION) }],
+            pan: [{ time: 0, value: panPosition(DEFAULT_PAN) }],
+            pitch: [{ time: 0, value: 0 }],
+            modulation: [{ time: 0, value: 0 }]
+        }));
+        // Интервалы нажатия педалей по каналам: [{ down, up }], up = Infinity — не отпущена
+        this.pedals = Array.from({ length: CHANNEL_COUNT }, () => ({ sustain: [], sostenuto: [], soft: [] }));
+
+        this.buildTimelines(song.events);
+        this.buildNotes(song.notes, song.duration);
+        this.buildPatches(song.events, song.notes);
+    }
+
+    buildTimelines(events) {
+        const states = Array.from({ length: CHANNEL_COUNT }, () => ({
+            volume: DEFAULT_VOLUME,
+            expression: DEFAULT_EXPRESSION,
+            bend: 8192,
+            bendRange: DEFAULT_BEND_RANGE,
+            rpn: [127, 127],
+            pedals: { sustain: null, sostenuto: null, soft: null }
+        }));
+
+        const setPedal = (channel, name, down, time) => {
+            const state = states[channel];
+            if (down && !state.pedals[name]) {
+                state.pedals[name] = { down: time, up: Infinity };
+                this.pedals[channel][name].push(state.pedals[name]);
+            } else if (!down && state.pedals[name]) {
+                state.pedals[name].up = time;
+                state.pedals[name] = null;
+            }
+        };
+
+        events.forEach(event => {
+            if (event.type !== 'controlChange' && event.type !== 'pitchBend') return;
+            const channel = event.channel;
+            const state = states[channel];
+            const timeline = this.timelines[channel];
+            const time = event.seconds;
+            const updatePitch = () => pushPoint(timeline.pitch, time, (state.bend - 8192) / 8192 * state.bendRange * 100);
+
+            if (event.type === 'pitchBend') {
+                state.bend = event.value;
+                updatePitch();
+                return;
+            }
+
+            const value = event.value;
+            switch (event.controller) {
+                case CC.MODULATION:
+                    pushPoint(timeline.modulation, time, value / 127 * MAX_VIBRATO_CENTS);
+                    break;
+                case CC.VOLUME:
+                    state.volume = value;
+                    pushPoint(timeline.volume, time, volumeGain(state.volume, state.expression));
+                    break;
+                case CC.EXPRESSION:
+                    state.expression = value;
+                    pushPoint(timeline.volume, time, volumeGain(state.volume, state.expression));
+                    break;
+                case CC.PAN:
+                    pushPoint(timeline.pan, time, panPosition(value));
+                    break;
+                case CC.SUSTAIN:
+                    setPedal(channel, 'sustain', value >= PEDAL_DOWN, time);
+                    break;
+                case CC.SOSTENUTO:
+                    setPedal(channel, 'sostenuto', value >= PEDAL_DOWN, time);
+                    break;
+                case CC.SOFT:
+                    setPedal(channel, 'soft', value >= PEDAL_DOWN, time);
+                    break;
+                case CC.RPN_MSB:
+                    state.rpn[0] = value;
+                    break;
+                case CC.RPN_LSB:
+                    state.rpn[1] = value;
+                    break;
+                case CC.DATA_ENTRY:
+                    // RPN 0: диапазон pitch bend, MSB — полутоны
+                    if (state.rpn[0] === 0 && state.rpn[1] === 0) {
+                        state.bendRange = value + (state.bendRange % 1);
+                        updatePitch();
+                    }
+                    break;
+                case CC.DATA_ENTRY_LSB:
+                    if (state.rpn[0] === 0 && state.rpn[1] === 0) {
+                        state.bendRange = Math.floor(state.bendRange) + value / 100;
+                        updatePitch();
+                    }
+                    break;
+                case CC.RESET_ALL:
+                    state.expression = DEFAULT_EXPRESSION;
+                    state.bend = 8192;
+                    state.rpn = [127, 127];
+                    pushPoint(timeline.volume, time, volumeGain(state.volume, state.expression));
+                    pushPoint(timeline.modulation, time, 0);
+                    updatePitch();
+                    ['sustain', 'sostenuto', 'soft'].forEach(name => setPedal(channel, name, false, time));
+                    break;
+            }
+        });
+    }
+
+    // Конец и громкость каждой ноты (по индексу в song.notes) с учётом педалей.
+    // Повторный удар той же ноты на канале обрывает продлённую педалью, неотпущенная педаль держит до конца песни
+    buildNotes(notes, songEnd) {
+        this.noteEnds = new Float64Array(notes.length);
+        this.noteVelocities = new Float64Array(notes.length);
+
+        const nextStrike = new Map(); // канал * 128 + нота → начало следующего удара
+        const nextStart = new Float64Array(notes.length);
+        for (let i = notes.length - 1; i >= 0; i--) {
+            const key = notes[i].channel * 128 + notes[i].note;
+            nextStart[i] = nextStrike.has(key) ? nextStrike.get(key) : Infinity;
+            nextStrike.set(key, notes[i].startTime);
+        }
+
+        notes.forEach((note, index) => {
+            const pedals = this.pedals[note.channel];
+            let end = note.endTime;
+
+            const sustain = pedals.sustain.find(pedal => pedal.down <= note.endTime && note.endTime < pedal.up);
+            if (sustain) end = Math.max(end, sustain.up);
+            // Sostenuto держит только ноты, звучавшие в момент нажатия
+            const sostenuto = pedals.sostenuto.find(pedal =>
+                note.startTime < pedal.down && pedal.down < note.endTime && note.endTime < pedal.up);
+            if (sostenuto) end = Math.max(end, sostenuto.up);
+
+            if (end > note.endTime) {
+                end = Math.max(note.endTime, Math.min(end, nextStart[index], songEnd));
+            }
+            this.noteEnds[index] = end;
+
+            const soft = pedals.soft.some(pedal => pedal.down <= note.startTime && note.startTime < pedal.up);
+            this.noteVelocities[index] = soft ? Math.max(1, Math.round(note.velocity * SOFT_PEDAL_VELOCITY)) : note.velocity;
+        });
+    }
+
+    // Тембр каждой ноты: { bankMSB, bankLSB, program } на момент её начала.
+    // Банк запоминается контроллерами и вступает в силу со следующим program change; bankMSB = null — банк не выбирался
+    buildPatches(events, notes) {
+        const banks = Array.from({ length: CHANNEL_COUNT }, () => ({ msb: null, lsb: 0 }));
+        const patches = Array.from({ length: CHANNEL_COUNT }, () => ({ bankMSB: null, bankLSB: 0, program: 0 }));
+        this.notePatches = new Array(notes.length);
+
+        let eventIndex = 0;
+        notes.forEach((note, index) => {
+            // События в момент начала ноты действуют на неё (program change обычно стоит перед note on)
+            for (; eventIndex < events.length && events[eventIndex].seconds <= note.startTime; eventIndex++) {
+                const event = events[eventIndex];
+                if (event.type === 'programChange') {
+                    const bank = banks[event.channel];
+                    patches[event.channel] = { bankMSB: bank.msb, bankLSB: bank.lsb, program: event.program };
+                } else if (event.type === 'controlChange' && event.controller === CC.BANK_SELECT) {
+                    banks[event.channel].msb = event.value;
+                } else if (event.type === 'controlChange' && event.controller === CC.BANK_SELECT_LSB) {
+                    banks[event.channel].lsb = event.value;
+                }
+            }
+            this.notePatches[index] = patches[note.channel];
+        });
+    }
+
+    valueAt(channel, name, time) {
+        const points = this.timelines[channel][name];
+        return points[pointAt(points, time)].value;
+    }
+
+    // ===== ПРИМЕНЕНИЕ К АУДИОГРАФУ =====
+
+    // Снимает запланированные изменения и ставит значения на момент песни from ко времени audioTime
+    resetChannels(graph, from, audioTime) {
+        const now = graph.context.currentTime;
+        graph.inputs.forEach((input, channel) => {
+            input.controlGain.gain.cancelScheduledValues(now);
+            input.controlGain.gain.setValueAtTime(this.valueAt(channel, 'volume', from), audioTime);
+            input.controlPanner.pan.cancelScheduledValues(now);
+            input.controlPanner.pan.setValueAtTime(this.valueAt(channel, 'pan', from), audioTime);
+        });
+    }
+
+    // Изменения громкости и панорамы в промежутке песни [from, to); toAudioTime — секунды песни → время контекста
+    scheduleChannels(graph, from, to, toAudioTime) {
+        graph.inputs.forEach((input, channel) => {
+            const timeline = this.timelines[channel];
+            [[timeline.volume, input.controlGain.gain], [timeline.pan, input.controlPanner.pan]].forEach(([points, param]) => {
+                for (let i = pointAt(points, from) + 1; i < points.length && points[i].time < to; i++) {
+                    if (points[i].time >= from) param.setValueAtTime(points[i].value, toAudioTime(points[i].time));
+                }
+            });
+        });
+    }
+
+    // Pitch bend и вибрато ноты, звучащей в песне с from до to. envelope — результат queueWaveTable
+    applyToNote(context, envelope, channel, from, to, toAudioTime) {
+        const source = envelope && envelope.audioBufferSourceNode;
+        if (!source || !source.detune) return;
+        const startAt = toAudioTime(from);
+
+        const pitch = this.timelines[channel].pitch;
+        source.detune.setValueAtTime(this.valueAt(channel, 'pitch', from), startAt);
+        for (let i = pointAt(pitch, from) + 1; i < pitch.length && pitch[i].time < to; i++) {
+            source.detune.setValueAtTime(pitch[i].value, toAudioTime(pitch[i].time));
+        }
+
+        const modulation = this.timelines[channel].modulation;
+        const first = pointAt(modulation, from);
+        let last = first;
+        while (last + 1 < modulation.length && modulation[last + 1].time < to) last++;
+        if (!modulation.slice(first, last + 1).some(point => point.value > 0)) return;
+
+        // Вибрато: низкочастотный генератор → глубина (центы) → detune
+        const lfo = context.createOscillator();
+        const depth = context.createGain();
+        lfo.frequency.value = VIBRATO_RATE;
+        depth.gain.setValueAtTime(modulation[first].value, startAt);
+        for (let i = first + 1; i <= last; i++) {
+            depth.gain.setValueAtTime(modulation[i].value, toAudioTime(modulation[i].time));
+        }
+        lfo.connect(depth);
+        depth.connect(source.detune);
+        lfo.start(startAt);
+        lfo.stop(toAudioTime(to) + 1); // С запасом на затухание
+    }
+}
@@ -0,0 +1,96 @@
+// ===== МИКШЕР 16 КАНАЛОВ =====
+//
+// Настройки каналов (громкость, панорама, mute, solo) хранятся отдельно от аудиографа:
+// один и тот же микшер строит граф и для живого AudioContext, и для OfflineAudioContext экспорта WAV.
+// Граф: вход канала → контроллеры файла (CC7/CC11 — GainNode, CC10 — StereoPannerNode, см. ChannelControls)
+//   → настройки микшера (GainNode → StereoPannerNode) → общая шина (master) → destination.
+
+const CHANNEL_COUNT = 16;
+const SMOOTHING_SECONDS = 0.02; // Плавная смена громкости без щелчков
+
+export class ChannelMixer {
+    constructor() {
+        // volume 0..1, pan -1 (лево) .. 1 (право)
+        this.channels = Array.from({ length: CHANNEL_COUNT }, () => ({ volume: 1, pan: 0, mute: false, solo: false }));
+        this.graph = null; // Граф живого воспроизведения
+    }
+
+    // Граф микшера в context; live — настройки применяются к нему на ходу
+    createGraph(context, destination, live = false) {
+        const master = context.createGain();
+        master.connect(destination);
+        const inputs = this.channels.map(() => {
+            const controlGain = context.createGain();
+            const controlPanner = context.createStereoPanner();
+            const gain = context.createGain();
+            const panner = context.createStereoPanner();
+            controlGain.connect(controlPanner);
+            controlPanner.connect(gain);
+            gain.connect(panner);
+            panner.connect(master);
+            return { controlGain, controlPanner, gain, panner };
+        });
+
+        const graph = { context, master, inputs };
+        this.channels.forEach((state, channel) => this.applyChannel(graph, channel, false));
+        if (live) this.graph = graph;
+        return graph;
+    }
+
+    // Вход канала в графе: сюда ставятся ноты
+    input(graph, channel) {
+        return graph.inputs[channel & 0x0F].controlGain;
+    }
+
+    // Слышен ли канал: не заглушён, а при включённом solo — сам в solo
+    isAudible(channel) {
+        const state = this.channels[channel];
+        if (state.mute) return false;
+        return state.solo || !this.channels.some(other => other.solo);
+    }
+
+    setVolume(channel, volume) {
+        this.channels[channel].volume = Math.max(0, Math.min(1, volume));
+        this.update(channel);
+    }
+
+    setPan(channel, pan) {
+        this.channels[channel].pan = Math.max(-1, Math.min(1, pan));
+        this.update(channel);
+    }
+
+    setMute(channel, mute) {
+        this.channels[channel].mute = mute;
+        this.update(channel);
+    }
+
+    // Solo одного канала меняет слышимость всех остальных
+    setSolo(channel, solo) {
+        this.channels[channel].solo = solo;
+        this.update(null);
+    }
+
+    // channel = null — все каналы
+    update(channel) {
+        if (!this.graph) return;
+        if (channel === null) {
+            this.channels.forEach((state, index) => this.applyChannel(this.graph, index, true));
+        } else {
+            this.applyChannel(this.graph, channel, true);
+        }
+    }
+
+    applyChannel(graph, channel, smooth) {
+        const state = this.channels[channel];
+        const { gain, panner } = graph.inputs[channel];
+        const volume = this.isAudible(channel) ? state.volume : 0;
+        if (smooth) {
+            const now = graph.context.currentTime;
+            gain.gain.setTargetAtTime(volume, now, SMOOTHING_SECONDS);
+            panner.pan.setTargetAtTime(state.pan, now, SMOOTHING_SECONDS);
+        } else {
+            gain.gain.value = volume;
+            panner.pan.value = state.pan;
+        }
+    }
+}
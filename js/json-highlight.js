@@ -0,0 +1,74 @@
+// ===== ПОДСВЕТКА ОШИБОК В ПОЛЕ JSON =====
+//
+// Textarea не умеет выделять фрагменты, поэтому за ней лежит подложка с тем же
+// текстом и шрифтом: проблемные места обёрнуты в <mark>, сам текст подложки прозрачен.
+// Список ошибок под полем: щелчок выделяет фрагмент в textarea.
+export class JSONErrorHighlighter {
+    constructor(textarea, backdrop, list) {
+        this.textarea = textarea;
+        this.backdrop = backdrop;
+        this.list = list;
+
+        // Правка текста делает позиции ошибок неверными
+        this.textarea.addEventListener('input', () => this.clear());
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+    }
+
+    // errors — результат validateNoteJSON: [{ path, message, start, end, line, column }]
+    show(errors) {
+        this.renderBackdrop(errors);
+        this.renderList(errors);
+    }
+
+    clear() {
+        this.backdrop.innerHTML = '';
+        this.list.innerHTML = '';
+        this.list.classList.remove('active');
+    }
+
+    renderBackdrop(errors) {
+        const text = this.textarea.value;
+        const ranges = errors
+            .map(error => ({ start: error.start, end: Math.max(error.end, error.start + 1) }))
+            .sort((a, b) => a.start - b.start);
+
+        this.backdrop.innerHTML = '';
+        let pos = 0;
+        ranges.forEach(range => {
+            // Вложенные диапазоны (объект и его поле) сливаются в один
+            if (range.end <= pos) return;
+            const start = Math.max(range.start, pos);
+            this.backdrop.appendChild(document.createTextNode(text.slice(pos, start)));
+            const mark = document.createElement('mark');
+            // Ошибка в конце текста: подсвечиваем место после последнего символа
+            mark.textContent = text.slice(start, range.end) || ' ';
+            this.backdrop.appendChild(mark);
+            pos = range.end;
+        });
+        // Завершающий перевод строки textarea показывает пустой строкой — подложка тоже
+        this.backdrop.appendChild(document.createTextNode(text.slice(pos) + '\n'));
+        this.syncScroll();
+    }
+
+    renderList(errors) {
+        this.list.innerHTML = '';
+        this.list.classList.toggle('active', errors.length > 0);
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            const where = error.path ? `${error.path} ` : '';
+            item.textContent = `Строка ${error.line}, столбец ${error.column}: ${where}— ${error.message}`;
+            item.addEventListener('click', () => this.select(error));
+            this.list.appendChild(item);
+        });
+    }
+
+    select(error) {
+        this.textarea.focus();
+        this.textarea.setSelectionRange(error.start, Math.max(error.end, error.start + 1));
+    }
+
+    syncScroll() {
+        this.backdrop.scrollTop = this.textarea.scrollTop;
+        this.backdrop.scrollLeft = this.textarea.scrollLeft;
+    }
+}
@@ -0,0 +1,419 @@
+// ===== ПРОВЕРКА JSON ДЛЯ MIDIWRITER =====
+//
+// Собственный разбор JSON запоминает позицию каждого значения, поэтому каждая
+// проблема сообщается с путём ($.tracks[0].notes[2].velocity) и строкой/столбцом.
+// Проблема: { path, message, start, end, line, column } — start/end — смещения в тексте,
+// line и column — с 1.
+
+// ===== РАЗБОР JSON С ПОЗИЦИЯМИ =====
+
+const NUMBER_PATTERN = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+class PositionedJSONParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.positions = new Map(); // путь → { start, end } значения
+    }
+
+    parse() {
+        this.skipWhitespace();
+        const value = this.parseValue('$');
+        this.skipWhitespace();
+        if (this.pos < this.text.length) {
+            this.fail('Лишние символы после JSON');
+        }
+        return value;
+    }
+
+    fail(message, offset = this.pos) {
+        const error = new Error(message);
+        error.offset = offset;
+        throw error;
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length && ' \t\n\r'.includes(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    expect(char) {
+        if (this.text[this.pos] !== char) {
+            this.fail(this.pos < this.text.length
+                ? `Ожидается «${char}», найдено «${this.text[this.pos]}»`
+                : `Ожидается «${char}», но текст закончился`);
+        }
+        this.pos++;
+    }
+
+    parseValue(path) {
+        const start = this.pos;
+        const char = this.text[this.pos];
+        let value;
+
+        if (char === '{') {
+            value = this.parseObject(path);
+        } else if (char === '[') {
+            value = this.parseArray(path);
+        } else if (char === '"') {
+            value = this.parseString();
+        } else if (char === 't' || char === 'f' || char === 'n') {
+            value = this.parseLiteral();
+        } else if (char === '-' || (char >= '0' && char <= '9')) {
+            value = this.parseNumber();
+        } else {
+            this.fail(char === undefined ? 'Неожиданный конец текста' : `Неожиданный символ «${char}»`);
+        }
+
+        this.positions.set(path, { start, end: this.pos });
+        return value;
+    }
+
+    parseObject(path) {
+        const object = {};
+        this.expect('{');
+        this.skipWhitespace();
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return object;
+        }
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.pos] !== '"') {
+                this.fail('Ожидается имя свойства в кавычках');
+            }
+            const key = this.parseString();
+            this.skipWhitespace();
+            this.expect(':');
+            this.skipWhitespace();
+            object[key] = this.parseValue(`${path}.${key}`);
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+                continue;
+            }
+            this.expect('}');
+            return object;
+        }
+    }
+
+    parseArray(path) {
+        const array = [];
+        this.expect('[');
+        this.skipWhitespace();
+        if (this.text[this.pos] === ']') {
+            this.pos++;
+            return array;
+        }
+        while (true) {
+            this.skipWhitespace();
+            array.push(this.parseValue(`${path}[${array.length}]`));
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+                continue;
+            }
+            this.expect(']');
+            return array;
+        }
+    }
+
+    parseString() {
+        const start = this.pos;
+        this.pos++;
+        while (this.pos < this.text.length && this.text[this.pos] !== '"') {
+            if (this.text[this.pos] === '\n') {
+                this.fail('Перевод строки внутри строки');
+            }
+            this.pos += this.text[this.pos] === '\\' ? 2 : 1;
+        }
+        if (this.pos >= this.text.length) {
+            this.fail('Строка не закрыта кавычкой', start);
+        }
+        this.pos++;
+        try {
+            return JSON.parse(this.text.slice(start, this.pos));
+        } catch (error) {
+            this.fail('Неверная escape-последовательность в строке', start);
+        }
+    }
+
+    parseLiteral() {
+        const literals = { true: true, false: false, null: null };
+        for (const word of Object.keys(literals)) {
+            if (this.text.startsWith(word, this.pos)) {
+                this.pos += word.length;
+                return literals[word];
+            }
+        }
+        this.fail('Неизвестное значение (ожидается true, false или null)');
+    }
+
+    parseNumber() {
+        NUMBER_PATTERN.lastIndex = this.pos;
+        const match = NUMBER_PATTERN.exec(this.text);
+        if (!match) {
+            this.fail('Неверное число');
+        }
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+}
+
+// Смещение в тексте → { line, column } (с 1)
+function lineColumnAt(text, offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < offset && i < text.length; i++) {
+        if (text[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line, column: offset - lineStart + 1 };
+}
+
+// ===== ПРАВИЛА =====
+
+// Правило — функция (value) → текст ошибки или null
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'массив';
+    if (typeof value === 'string') return `строка ${JSON.stringify(value)}`;
+    if (typeof value === 'object') return 'объект';
+    return String(value);
+}
+
+function integerIn(min, max) {
+    return value => (typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max)
+        ? null
+        : `ожидается целое число от ${min} до ${max}, получено ${describe(value)}`;
+}
+
+function numberAtLeast(min, exclusive = false) {
+    return value => (typeof value === 'number' && (exclusive ? value > min : value >= min))
+        ? null
+        : `ожидается число ${exclusive ? '>' : '≥'} ${min}, получено ${describe(value)}`;
+}
+
+function oneOf(...allowed) {
+    return value => allowed.includes(value)
+        ? null
+        : `ожидается одно из значений ${allowed.map(v => JSON.stringify(v)).join(', ')}, получено ${describe(value)}`;
+}
+
+const isString = value => typeof value === 'string' ? null : `ожидается строка, получено ${describe(value)}`;
+const isBoolean = value => typeof value === 'boolean' ? null : `ожидается true или false, получено ${describe(value)}`;
+const isByteArray = value => Array.isArray(value) && value.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)
+    ? null
+    : 'ожидается массив байтов 0..255';
+const isPowerOfTwo = value => [1, 2, 4, 8, 16, 32, 64, 128].includes(value)
+    ? null
+    : `ожидается степень двойки от 1 до 128, получено ${describe(value)}`;
+
+const dataByte = integerIn(0, 127);
+const time = numberAtLeast(0);
+
+// Частоты SMPTE Offset в порядке кода в битах 5-6 байта часов; без frameRate писатель ставит код 0
+const SMPTE_OFFSET_RATES = [24, 25, 29.97, 30];
+
+const required = rule => ({ rule, required: true });
+const optional = rule => ({ rule, required: false });
+
+// data — исходные байты текста не в UTF-8 (из полного JSON)
+const TEXT_FIELDS = { text: required(isString), data: optional(isByteArray) };
+
+// Поля событий из массива events трека (time проверяется отдельно)
+const EVENT_FIELDS = {
+    noteOn: { note: required(dataByte), velocity: required(integerIn(1, 127)), channel: optional(integerIn(0, 15)) },
+    noteOff: { note: required(dataByte), velocity: optional(dataByte), channel: optional(integerIn(0, 15)) },
+    polyPressure: { note: required(dataByte), pressure: required(dataByte), channel: optional(integerIn(0, 15)) },
+    controlChange: { controller: required(dataByte), value: required(dataByte), channel: optional(integerIn(0, 15)) },
+    programChange: { program: required(dataByte), channel: optional(integerIn(0, 15)) },
+    channelPressure: { pressure: required(dataByte), channel: optional(integerIn(0, 15)) },
+    pitchBend: { value: required(integerIn(0, 16383)), channel: optional(integerIn(0, 15)) },
+    tempo: { bpm: optional(numberAtLeast(0, true)), microsecondsPerBeat: optional(integerIn(1, 0xFFFFFF)) },
+    timeSignature: {
+        numerator: required(integerIn(1, 255)),
+        denominator: required(isPowerOfTwo),
+        metronome: optional(integerIn(0, 255)),
+        thirtySeconds: optional(integerIn(0, 255))
+    },
+    keySignature: { key: required(integerIn(-7, 7)), scale: optional(oneOf(0, 1)) },
+    text: TEXT_FIELDS,
+    copyright: TEXT_FIELDS,
+    trackName: TEXT_FIELDS,
+    instrumentName: TEXT_FIELDS,
+    lyrics: TEXT_FIELDS,
+    marker: TEXT_FIELDS,
+    cuePoint: TEXT_FIELDS,
+    programName: TEXT_FIELDS,
+    deviceName: TEXT_FIELDS,
+    sequenceNumber: { number: required(integerIn(0, 0xFFFF)) },
+    channelPrefix: { channel: required(integerIn(0, 15)) },
+    midiPort: { port: required(integerIn(0, 255)) },
+    // Часы — младшие 5 бит байта, где биты 5-6 кодируют частоту кадров; номер кадра проверяется по частоте отдельно
+    smpteOffset: {
+        frameRate: optional(oneOf(...SMPTE_OFFSET_RATES)),
+        hours: required(integerIn(0, 0x1F)),
+        minutes: required(integerIn(0, 59)),
+        seconds: required(integerIn(0, 59)),
+        frames: required(integerIn(0, 255)),
+        subFrames: optional(integerIn(0, 99))
+    },
+    sequencerSpecific: { data: required(isByteArray) },
+    meta: { metaType: required(integerIn(0, 255)), data: required(isByteArray) },
+    sysex: { status: optional(oneOf(0xF0, 0xF7)), data: required(isByteArray) },
+    endOfTrack: {}
+};
+
+const ROOT_FIELDS = {
+    format: optional(oneOf(0, 1, 2)),
+    ppq: optional(integerIn(1, 0x7FFF)),
+    timeUnit: optional(oneOf('seconds', 'beats', 'ticks')),
+    tempo: optional(numberAtLeast(0, true)),
+    fidelity: optional(oneOf('full')),
+    runningStatus: optional(isBoolean)
+};
+
+const TRACK_FIELDS = {
+    name: optional(isString),
+    channel: optional(integerIn(0, 15)),
+    program: optional(dataByte)
+};
+
+const NOTE_FIELDS = {
+    note: required(dataByte),
+    time: required(time),
+    duration: required(time),
+    velocity: optional(integerIn(1, 127)),
+    channel: optional(integerIn(0, 15))
+};
+
+// ===== ПРОВЕРКА =====
+
+// text — содержимое поля JSON. Возвращает { data, errors }; data — null при синтаксической ошибке.
+export function validateNoteJSON(text) {
+    const parser = new PositionedJSONParser(text);
+    const errors = [];
+
+    const report = (path, message, position = parser.positions.get(path)) => {
+        const { start, end } = position;
+        errors.push({ path, message, start, end, ...lineColumnAt(text, start) });
+    };
+    // Ошибка объекта целиком (нет поля): подсвечиваем только открывающую скобку
+    const reportObject = (path, message) => {
+        const { start } = parser.positions.get(path);
+        report(path, message, { start, end: start + 1 });
+    };
+
+    let data;
+    try {
+        data = parser.parse();
+    } catch (error) {
+        if (error.offset === undefined) throw error;
+        report(null, `Синтаксическая ошибка: ${error.message}`, { start: error.offset, end: error.offset + 1 });
+        return { data: null, errors };
+    }
+
+    const isObject = (path, value) => {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) return true;
+        report(path, `ожидается объект, получено ${describe(value)}`);
+        return false;
+    };
+    const isArray = (path, value) => {
+        if (Array.isArray(value)) return true;
+        report(path, `ожидается массив, получено ${describe(value)}`);
+        return false;
+    };
+    // Поля объекта по описанию { поле: { rule, required } }; отсутствующее поле — ошибка на самом объекте
+    const checkFields = (path, object, fields) => {
+        Object.entries(fields).forEach(([key, { rule, required }]) => {
+            if (!(key in object)) {
+                if (required) reportObject(path, `нет обязательного поля «${key}»`);
+                return;
+            }
+            const message = rule(object[key]);
+            if (message) report(`${path}.${key}`, message);
+        });
+    };
+    // Номер кадра SMPTE Offset — меньше числа кадров в секунду по частоте события
+    const checkSmpteFrames = (path, event) => {
+        const frameRate = event.frameRate ?? SMPTE_OFFSET_RATES[0];
+        if (!SMPTE_OFFSET_RATES.includes(frameRate) || !Number.isInteger(event.frames)) return;
+        const message = integerIn(0, Math.ceil(frameRate) - 1)(event.frames);
+        if (message) report(path, `при ${frameRate} кадр/с ${message}`);
+    };
+
+    if (!isObject('$', data)) return { data, errors };
+    checkFields('$', data, ROOT_FIELDS);
+
+    if (data.smpte !== undefined && isObject('$.smpte', data.smpte)) {
+        checkFields('$.smpte', data.smpte, {
+            framesPerSecond: required(oneOf(24, 25, 29, 30)),
+            ticksPerFrame: required(integerIn(1, 255))
+        });
+    }
+
+    if (data.tempoMap !== undefined && isArray('$.tempoMap', data.tempoMap)) {
+        data.tempoMap.forEach((entry, i) => {
+            const path = `$.tempoMap[${i}]`;
+            if (!isObject(path, entry)) return;
+            checkFields(path, entry, {
+                time: optional(time),
+                bpm: optional(numberAtLeast(0, true)),
+                microsecondsPerBeat: optional(integerIn(1, 0xFFFFFF))
+            });
+            if (!('bpm' in entry) && !('microsecondsPerBeat' in entry)) {
+                reportObject(path, 'нужно поле «bpm» или «microsecondsPerBeat»');
+            }
+        });
+    }
+
+    if (!('tracks' in data)) {
+        reportObject('$', 'нет обязательного поля «tracks»');
+        return { data, errors };
+    }
+    if (!isArray('$.tracks', data.tracks)) return { data, errors };
+    if (data.tracks.length === 0) {
+        report('$.tracks', 'нужен хотя бы один трек');
+    }
+
+    data.tracks.forEach((track, trackIndex) => {
+        const trackPath = `$.tracks[${trackIndex}]`;
+        if (!isObject(trackPath, track)) return;
+        checkFields(trackPath, track, TRACK_FIELDS);
+
+        if (track.notes !== undefined && isArray(`${trackPath}.notes`, track.notes)) {
+            track.notes.forEach((note, noteIndex) => {
+                const path = `${trackPath}.notes[${noteIndex}]`;
+                if (isObject(path, note)) checkFields(path, note, NOTE_FIELDS);
+            });
+        }
+
+        ['events', 'eventsAfterEnd'].forEach(key => {
+            if (track[key] === undefined || !isArray(`${trackPath}.${key}`, track[key])) return;
+            track[key].forEach((event, eventIndex) => {
+                const path = `${trackPath}.${key}[${eventIndex}]`;
+                if (!isObject(path, event)) return;
+                if (!('type' in event)) {
+                    reportObject(path, 'нет обязательного поля «type»');
+                    return;
+                }
+                const fields = EVENT_FIELDS[event.type];
+                if (!fields) {
+                    report(`${path}.type`, `неизвестный тип события ${describe(event.type)}`);
+                    return;
+                }
+                checkFields(path, event, { time: optional(time), ...fields });
+                if (event.type === 'tempo' && !('bpm' in event) && !('microsecondsPerBeat' in event)) {
+                    reportObject(path, 'нужно поле «bpm» или «microsecondsPerBeat»');
+                }
+                if (event.type === 'smpteOffset') checkSmpteFrames(`${path}.frames`, event);
+            });
+        });
+    });
+
+    return { data, errors };
+}
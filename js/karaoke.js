@@ -0,0 +1,127 @@
+// ===== КАРАОКЕ: ТЕКСТ ПЕСНИ ИЗ .KAR И LYRIC-СОБЫТИЙ =====
+//
+// Соглашения KAR (Tune 1000): слоги — текстовые события (0x01) одного трека,
+// «/» в начале — новая строка, «\» — новый абзац, события на «@» — заголовки:
+// @K — подпись формата, @V — версия, @L — язык, @T — название/исполнитель, @I — информация.
+// В обычных MIDI текст хранится в lyric-событиях (0x05), строки завершаются \r или \n.
+
+// Разбор заголовков @K/@V/@L/@T/@I
+function parseHeader(text, headers) {
+    const tag = text.charAt(1).toUpperCase();
+    const value = text.slice(2).trim();
+    switch (tag) {
+        case 'K': headers.format = value; break;
+        case 'V': headers.version = value; break;
+        case 'L': headers.language = value; break;
+        case 'T': headers.titles.push(value); break;
+        case 'I': headers.info.push(value); break;
+    }
+}
+
+// events — Song.events (по времени, с секундами в поле seconds).
+// options.kar — файл .kar: текстовые события считаем слогами даже без подписи @KMIDI.
+// Возвращает { headers, lines: [{ paragraph, syllables }], syllables } или null, если текста нет.
+// Слог: { text, time, tick, line, index }
+export function extractLyrics(events, options = {}) {
+    const headers = { format: null, version: null, language: null, titles: [], info: [] };
+    const textByTrack = new Map();
+    const lyricEvents = [];
+
+    events.forEach(event => {
+        if (event.type === 'text') {
+            if (event.text.startsWith('@')) {
+                parseHeader(event.text, headers);
+                return;
+            }
+            if (!textByTrack.has(event.track)) textByTrack.set(event.track, []);
+            textByTrack.get(event.track).push(event);
+        } else if (event.type === 'lyrics') {
+            lyricEvents.push(event);
+        }
+    });
+
+    const isKaraoke = options.kar || headers.format !== null;
+    let source = lyricEvents;
+    if (isKaraoke && textByTrack.size > 0) {
+        // Слоги — в треке с наибольшим числом текстовых событий (обычно «Words»)
+        source = [...textByTrack.values()].reduce((best, list) => list.length > best.length ? list : best);
+    }
+    if (source.length === 0) return null;
+
+    const lines = [];
+    const syllables = [];
+    let current = null;
+    let pendingBreak = false;
+    let pendingParagraph = false;
+
+    source.forEach(event => {
+        let text = event.text;
+        let newLine = pendingBreak;
+        let newParagraph = pendingParagraph;
+
+        if (text.startsWith('\\')) {
+            newLine = newParagraph = true;
+            text = text.slice(1);
+        } else if (text.startsWith('/')) {
+            newLine = true;
+            text = text.slice(1);
+        }
+
+        // Lyric-события: \r или \n в конце закрывают строку, пустая строка — абзац
+        pendingBreak = /[\r\n]\s*$/.test(text);
+        pendingParagraph = /(\r\n?|\n)\s*(\r\n?|\n)\s*$/.test(text);
+        text = text.replace(/[\r\n]+/g, '');
+
+        if (!current || newLine) {
+            current = { paragraph: newParagraph && lines.length > 0, syllables: [] };
+            lines.push(current);
+        }
+        if (text.length === 0) return;
+
+        const syllable = {
+            text,
+            time: event.seconds,
+            tick: event.time,
+            line: lines.length - 1,
+            index: syllables.length
+        };
+        current.syllables.push(syllable);
+        syllables.push(syllable);
+    });
+
+    if (syllables.length === 0) return null;
+
+    // Пустые строки (только переводы) убираем, сохраняя признак абзаца
+    const nonEmptyLines = [];
+    let paragraphPending = false;
+    lines.forEach(line => {
+        if (line.syllables.length === 0) {
+            paragraphPending = paragraphPending || line.paragraph;
+            return;
+        }
+        line.paragraph = (line.paragraph || paragraphPending) && nonEmptyLines.length > 0;
+        paragraphPending = false;
+        line.syllables.forEach(syllable => { syllable.line = nonEmptyLines.length; });
+        nonEmptyLines.push(line);
+    });
+
+    return { headers, lines: nonEmptyLines, syllables };
+}
+
+// Индекс слога, звучащего в момент time (последний начавшийся), или -1
+export function syllableIndexAt(lyrics, time) {
+    const syllables = lyrics.syllables;
+    let low = 0;
+    let high = syllables.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (syllables[mid].time <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
@@ -0,0 +1,71 @@
+import { syllableIndexAt } from './karaoke.js';
+
+// ===== ПАНЕЛЬ ТЕКСТА ПЕСНИ (КАРАОКЕ) =====
+//
+// Показывает текущую и следующую строку, подсвечивает звучащий слог.
+// Перерисовывает DOM только при смене слога.
+export class LyricsPanel {
+    constructor(element) {
+        this.element = element;
+        this.lyrics = null;
+        this.currentIndex = -2;
+        this.renderedLine = -2;
+        this.spans = [];
+    }
+
+    setLyrics(lyrics) {
+        this.lyrics = lyrics;
+        this.currentIndex = -2;
+        this.renderedLine = -2;
+        this.element.classList.toggle('active', !!lyrics);
+        this.element.innerHTML = '';
+
+        if (lyrics) {
+            const titles = lyrics.headers.titles.filter(Boolean);
+            if (titles.length > 0) {
+                this.element.title = titles.join(' — ');
+            }
+            this.update(0);
+        }
+    }
+
+    update(time) {
+        if (!this.lyrics) return;
+
+        const index = syllableIndexAt(this.lyrics, time);
+        if (index === this.currentIndex) return;
+        this.currentIndex = index;
+
+        const line = index >= 0 ? this.lyrics.syllables[index].line : 0;
+        if (line !== this.renderedLine) {
+            this.renderLines(line);
+        }
+
+        this.spans.forEach(({ span, syllable }) => {
+            span.classList.toggle('sung', syllable.index < index);
+            span.classList.toggle('current', syllable.index === index);
+        });
+    }
+
+    renderLines(lineIndex) {
+        this.renderedLine = lineIndex;
+        this.element.innerHTML = '';
+        this.spans = [];
+
+        [lineIndex, lineIndex + 1].forEach((index, position) => {
+            const line = this.lyrics.lines[index];
+            const lineEl = document.createElement('div');
+            lineEl.className = position === 0 ? 'lyrics-line' : 'lyrics-line next';
+            if (line) {
+                if (line.paragraph && position === 1) lineEl.classList.add('paragraph');
+                line.syllables.forEach(syllable => {
+                    const span = document.createElement('span');
+                    span.textContent = syllable.text;
+                    lineEl.appendChild(span);
+                    this.spans.push({ span, syllable });
+                });
+            }
+            this.element.appendChild(lineEl);
+        });
+    }
+}
@@ -1,23 +1,45 @@
 import { Visualizer } from './visualizer.js';
 import { MIDIPlayer } from './midi-player.js';
 import { MIDIWriter } from './midi-writer.js';
+import { MIDILoader } from './midi-loader.js';
+import { extractLyrics } from './karaoke.js';
+import { LyricsPanel } from './lyrics-panel.js';
+import { validateMIDI } from './midi-validator.js';
+import { midiToFullJSON, splitByChannel, describeParts, extractParts } from './midi-json.js';
+import { checkRoundTrip } from './midi-compare.js';
+import { validateNoteJSON } from './json-validator.js';
+import { JSONErrorHighlighter } from './json-highlight.js';
+import { ABCParser } from './abc-parser.js';
+import { transpose, quantize, scaleVelocities, stretchTime } from './midi-transform.js';
+import { instrumentName } from './gm-instruments.js';
+import { midiToCSV, csvToJSON } from './midi-csv.js';
+import { MixerPanel } from './mixer-panel.js';
 
 // ===== UI ЛОГИКА =====
 let player;
 let visualizer;
 let currentFileName = '';
+let originalFile = null; // { fileData, warnings } до правок панели редактирования
 
 document.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById('canvas');
     const vizDebug = document.getElementById('vizDebug');
     visualizer = new Visualizer(canvas, vizDebug);
     player = new MIDIPlayer(visualizer);
+    const lyricsPanel = new LyricsPanel(document.getElementById('lyricsPanel'));
+    const mixerPanel = new MixerPanel(document.getElementById('mixerPanel'), player.mixer);
 
     const uploadArea = document.getElementById('uploadArea');
+    const loadProgress = document.getElementById('loadProgress');
+    const loadProgressFill = document.getElementById('loadProgressFill');
+    const loadProgressText = document.getElementById('loadProgressText');
+    const cancelLoadBtn = document.getElementById('cancelLoadBtn');
     const fileInput = document.getElementById('fileInput');
     const fileInfo = document.getElementById('fileInfo');
     const fileName = document.getElementById('fileName');
     const midiInfo = document.getElementById('midiInfo');
+    const sequenceSelector = document.getElementById('sequenceSelector');
+    const sequenceSelect = document.getElementById('sequenceSelect');
     const tempoInfo = document.getElementById('tempoInfo');
     const visualizerEl = document.getElementById('visualizer');
     const visualizationMode = document.getElementById('visualizationMode');
@@ -29,10 +51,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const progressFill = document.getElementById('progressFill');
     const currentTimeEl = document.getElementById('currentTime');
     const totalTimeEl = document.getElementById('totalTime');
+    const barBeatEl = document.getElementById('barBeat');
+    const barInput = document.getElementById('barInput');
+    const barCountEl = document.getElementById('barCount');
+    const barSeekBtn = document.getElementById('barSeekBtn');
     const playBtn = document.getElementById('playBtn');
     const pauseBtn = document.getElementById('pauseBtn');
     const stopBtn = document.getElementById('stopBtn');
     const status = document.getElementById('status');
+    const parseWarnings = document.getElementById('parseWarnings');
+    const editToolbar = document.getElementById('editToolbar');
+    const resetEditsBtn = document.getElementById('resetEditsBtn');
     const volumeSlider = document.getElementById('volumeSlider');
     const volumeValue = document.getElementById('volumeValue');
     const tempoSlider = document.getElementById('tempoSlider');
@@ -75,30 +104,74 @@ document.addEventListener('DOMContentLoaded', () => {
         if (file) handleFile(file);
     });
 
+    const midiLoader = new MIDILoader();
+    let loadGeneration = 0; // Номер последней загрузки: отменённая следующим файлом не трогает интерфейс
+
+    // Разбор в Web Worker с индикатором прогресса; без поддержки модульных воркеров или если воркер
+    // не запустился — в основном потоке
+    async function loadMIDIBuffer(buffer, generation) {
+        if (!MIDILoader.isSupported()) {
+            return player.loadMIDI(buffer);
+        }
+
+        setLoadProgress(0);
+        loadProgress.classList.add('active');
+        try {
+            const { fileData, warnings, song } = await midiLoader.load(buffer, setLoadProgress);
+            return player.loadParsed(fileData, warnings, song);
+        } catch (error) {
+            // Воркер не запустился (CSP, file://) — разбираем тот же буфер здесь
+            if (!error.workerFailed) throw error;
+            console.warn(error.message + ', разбор в основном потоке');
+            return player.loadMIDI(buffer);
+        } finally {
+            if (generation === loadGeneration) loadProgress.classList.remove('active');
+        }
+    }
+
+    function setLoadProgress(value) {
+        const percent = Math.round(value * 100);
+        loadProgressFill.style.width = percent + '%';
+        loadProgressText.textContent = `Разбор файла... ${percent}%`;
+    }
+
+    cancelLoadBtn.addEventListener('click', () => midiLoader.cancel());
+
     function handleFile(file) {
-        currentFileName = file.name;
         const reader = new FileReader();
         
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
+            const generation = ++loadGeneration;
             try {
-                const midiData = player.loadMIDI(e.target.result);
+                status.textContent = 'Загрузка файла...';
+                const midiData = await loadMIDIBuffer(e.target.result, generation);
+                currentFileName = file.name;
                 
                 fileName.textContent = file.name;
                 fileInfo.classList.add('active');
                 
                 let infoText = `Формат: ${midiData.format}, Треков: ${midiData.trackCount}, `;
-                infoText += `Разрешение: ${midiData.ticksPerBeat} ticks/beat`;
                 
                 if (midiData.isSMPTE) {
-                    infoText += ` (SMPTE: ${midiData.framesPerSecond} fps)`;
+                    const fps = midiData.dropFrame ? '29.97 drop-frame' : midiData.framesPerSecond;
+                    infoText += `Разрешение: ${midiData.ticksPerFrame} ticks/frame (SMPTE: ${fps} fps)`;
+                } else {
+                    infoText += `Разрешение: ${midiData.ticksPerBeat} ticks/beat`;
                 }
                 
-                midiInfo.textContent = infoText;
+                midiInfo.textContent = [infoText, ...describeMetaEvents(midiData)].join('\n');
+                updateSequenceSelector();
+                updateLyrics();
+                updateTrackPicker();
+                mixerPanel.setSong(player.song);
                 
-                if (midiData.tempoMap && midiData.tempoMap.length > 0) {
+                // В SMPTE-файлах темп не влияет на время воспроизведения
+                if (midiData.tempoMap && midiData.tempoMap.length > 0 && !midiData.isSMPTE) {
                     const firstTempo = midiData.tempoMap[0];
                     tempoInfo.textContent = `Темп: ${firstTempo.bpm.toFixed(2)} BPM (${firstTempo.microsecondsPerBeat} мкс/beat)`;
                     tempoInfo.style.display = 'block';
+                } else {
+                    tempoInfo.style.display = 'none';
                 }
                 
                 visualizerEl.classList.add('active');
@@ -109,19 +182,37 @@ document.addEventListener('DOMContentLoaded', () => {
                 progressContainer.classList.add('active');
                 
                 totalTimeEl.textContent = formatTime(player.duration);
+                updateBarInfo();
                 
                 playBtn.disabled = false;
                 pauseBtn.disabled = false;
                 stopBtn.disabled = false;
+                startEditing();
                 
                 document.getElementById('exportJsonBtn').disabled = false;
+                document.getElementById('exportFullJsonBtn').disabled = false;
+                document.getElementById('roundTripBtn').disabled = false;
+                document.getElementById('saveMidiBtn').disabled = false;
+                document.getElementById('splitChannelsBtn').disabled = false;
+                document.getElementById('exportCsvBtn').disabled = false;
+                document.getElementById('exportXmlBtn').disabled = false;
                 document.getElementById('exportWavBtn').disabled = false;
                 document.getElementById('startRecordBtn').disabled = false;
+                document.getElementById('validateBtn').disabled = false;
+                clearValidationReport();
                 
                 status.textContent = 'Файл загружен. Готов к воспроизведению.';
+                showParseWarnings(player.warnings);
                 
             } catch (error) {
+                // Загрузку отменил следующий файл: его прогресс и статус не трогаем
+                if (generation !== loadGeneration) return;
+                if (error.cancelled) {
+                    status.textContent = 'Загрузка отменена';
+                    return;
+                }
                 status.textContent = 'Ошибка: ' + error.message;
+                showParseWarnings([]);
                 console.error(error);
             }
         };
@@ -129,6 +220,134 @@ document.addEventListener('DOMContentLoaded', () => {
         reader.readAsArrayBuffer(file);
     }
 
+    // Текст песни: KAR (.kar или подпись @KMIDI) либо lyric-события
+    function updateLyrics() {
+        const kar = /\.kar$/i.test(currentFileName);
+        lyricsPanel.setLyrics(player.song ? extractLyrics(player.song.events, { kar }) : null);
+    }
+
+    // Формат 2: выбор последовательности для воспроизведения
+    function updateSequenceSelector() {
+        const sequences = player.fileData.sequences;
+        sequenceSelect.innerHTML = '';
+        sequenceSelector.classList.toggle('active', !!sequences && sequences.length > 1);
+        if (!sequences) return;
+
+        sequences.forEach(sequence => {
+            const option = document.createElement('option');
+            option.value = sequence.index;
+            option.textContent = `${sequence.index + 1}. ${(sequence.name || '').trim() || 'Без названия'}`;
+            sequenceSelect.appendChild(option);
+        });
+        sequenceSelect.value = player.sequenceIndex;
+    }
+
+    // После смены последовательности или правки: длительность, такты и текст песни заново
+    function refreshSong() {
+        updateTrackPicker();
+        mixerPanel.setSong(player.song);
+        totalTimeEl.textContent = formatTime(player.duration);
+        currentTimeEl.textContent = '0:00';
+        progressFill.style.width = '0%';
+        updateBarInfo();
+        updateLyrics();
+    }
+
+    sequenceSelect.addEventListener('change', () => {
+        player.selectSequence(parseInt(sequenceSelect.value));
+        refreshSong();
+        status.textContent = `Выбрана последовательность ${player.sequenceIndex + 1}`;
+    });
+
+    // ПАНЕЛЬ РЕДАКТИРОВАНИЯ: каждая правка пишет файл через MIDIWriter и сразу загружает его в плеер
+    function startEditing() {
+        originalFile = { fileData: player.fileData, warnings: player.warnings };
+        editToolbar.classList.add('active');
+        resetEditsBtn.disabled = true;
+    }
+
+    function applyEdit(transform, description) {
+        if (!player.fileData) return;
+        try {
+            const sequenceIndex = player.sequenceIndex;
+            const json = transform(midiToFullJSON(player.fileData));
+            const midiBytes = new MIDIWriter().createMIDI(json);
+            player.loadMIDI(midiBytes.buffer);
+            if (sequenceIndex > 0) player.selectSequence(sequenceIndex);
+            refreshSong();
+            resetEditsBtn.disabled = false;
+            status.textContent = `✏️ ${description}`;
+        } catch (error) {
+            status.textContent = '❌ Ошибка правки: ' + error.message;
+        }
+    }
+
+    function readNumber(id) {
+        const value = parseFloat(document.getElementById(id).value);
+        if (isNaN(value)) throw new Error('Введите число');
+        return value;
+    }
+
+    document.getElementById('transposeBtn').addEventListener('click', () => {
+        applyEdit(json => {
+            const semitones = Math.round(readNumber('transposeInput'));
+            return transpose(json, semitones);
+        }, `Транспонировано на ${document.getElementById('transposeInput').value} полутонов (кроме канала 10)`);
+    });
+
+    document.getElementById('quantizeBtn').addEventListener('click', () => {
+        const grid = document.getElementById('quantizeGrid');
+        applyEdit(json => {
+            const gridTicks = player.fileData.ticksPerBeat * parseFloat(grid.value);
+            return quantize(json, gridTicks, readNumber('quantizeStrength') / 100);
+        }, `Квантовано по сетке ${grid.options[grid.selectedIndex].text}`);
+    });
+
+    document.getElementById('velocityBtn').addEventListener('click', () => {
+        applyEdit(json => scaleVelocities(json, readNumber('velocityScale') / 100, readNumber('velocityCompression') / 100),
+            'Громкость нот изменена');
+    });
+
+    document.getElementById('stretchBtn').addEventListener('click', () => {
+        applyEdit(json => stretchTime(json, readNumber('stretchFactor')),
+            `Время растянуто в ${document.getElementById('stretchFactor').value} раз`);
+    });
+
+    resetEditsBtn.addEventListener('click', () => {
+        if (!originalFile) return;
+        player.loadParsed(originalFile.fileData, originalFile.warnings);
+        refreshSong();
+        resetEditsBtn.disabled = true;
+        status.textContent = 'Правки отменены';
+    });
+
+    document.getElementById('saveEditedBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        try {
+            const midiBytes = new MIDIWriter().createMIDI(midiToFullJSON(player.fileData), writerOptions());
+            downloadMIDI(midiBytes, currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '') + '.edited.mid');
+            status.textContent = '✅ MIDI файл сохранён';
+        } catch (error) {
+            status.textContent = '❌ Ошибка записи: ' + error.message;
+        }
+    });
+
+    // Предупреждения мягкого парсера под строкой статуса
+    function showParseWarnings(warnings) {
+        parseWarnings.innerHTML = '';
+        parseWarnings.classList.toggle('active', warnings.length > 0);
+        if (warnings.length === 0) return;
+
+        status.textContent = `⚠️ Файл загружен с предупреждениями (${warnings.length}). Готов к воспроизведению.`;
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            const where = warning.trackIndex !== null ? `Трек ${warning.trackIndex + 1}, ` : '';
+            item.textContent = `${where}байт ${warning.byteOffset}: ${warning.message}`;
+            item.title = warning.code;
+            parseWarnings.appendChild(item);
+        });
+    }
+
     const vizBtns = document.querySelectorAll('.viz-btn');
     vizBtns.forEach(btn => {
         btn.addEventListener('click', () => {
@@ -140,7 +359,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     playBtn.addEventListener('click', async () => {
         await player.play(player.currentTime);
-        status.textContent = 'Воспроизведение...';
+        if (player.isPlaying) status.textContent = 'Воспроизведение...';
     });
 
     pauseBtn.addEventListener('click', () => {
@@ -152,6 +371,8 @@ document.addEventListener('DOMContentLoaded', () => {
         player.stop();
         currentTimeEl.textContent = '0:00';
         progressFill.style.width = '0%';
+        updateBarBeat(0);
+        lyricsPanel.update(0);
         status.textContent = 'Остановлено';
     });
 
@@ -172,6 +393,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const progress = (player.currentTime / player.duration) * 100;
             progressFill.style.width = progress + '%';
             currentTimeEl.textContent = formatTime(player.currentTime);
+            updateBarBeat(player.currentTime);
+            lyricsPanel.update(player.currentTime);
         }
     }, 100);
 
@@ -183,6 +406,35 @@ document.addEventListener('DOMContentLoaded', () => {
         player.seek(time);
         progressFill.style.width = (percentage * 100) + '%';
         currentTimeEl.textContent = formatTime(time);
+        updateBarBeat(time);
+        lyricsPanel.update(time);
+    });
+
+    // ПОЗИЦИЯ В ТАКТАХ
+    function updateBarBeat(time) {
+        const position = player.getBarBeat(time);
+        if (position) {
+            barBeatEl.textContent = `Такт ${position.bar}:${position.beat} (${position.numerator}/${position.denominator})`;
+        }
+    }
+
+    function updateBarInfo() {
+        const barCount = player.getBarCount();
+        barInput.max = barCount;
+        barInput.value = 1;
+        barCountEl.textContent = `из ${barCount}`;
+        updateBarBeat(0);
+    }
+
+    barSeekBtn.addEventListener('click', () => {
+        const bar = parseInt(barInput.value);
+        if (!player.song || isNaN(bar)) return;
+        player.seekToBar(bar);
+        const time = player.currentTime;
+        progressFill.style.width = (player.duration > 0 ? time / player.duration * 100 : 0) + '%';
+        currentTimeEl.textContent = formatTime(time);
+        updateBarBeat(time);
+        lyricsPanel.update(time);
     });
 
     // ЭКСПОРТ JSON
@@ -195,13 +447,245 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    document.getElementById('exportFullJsonBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        document.getElementById('jsonOutput').value = JSON.stringify(midiToFullJSON(player.fileData), null, 2);
+        document.getElementById('downloadJsonBtn').disabled = false;
+    });
+
+    // Круговой перевод: что теряется при MIDI → полный JSON → MIDI
+    document.getElementById('roundTripBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        const exportStatus = document.getElementById('exportStatus');
+        const roundTripReport = document.getElementById('roundTripReport');
+        roundTripReport.innerHTML = '';
+
+        try {
+            const result = checkRoundTrip(player.fileData);
+            if (result.equal) {
+                exportStatus.textContent = '✅ Круговой перевод без потерь';
+                return;
+            }
+            exportStatus.textContent = `⚠️ Различий после кругового перевода: ${result.total}`;
+            result.differences.forEach(difference => {
+                const item = document.createElement('li');
+                item.className = 'error';
+                const where = [];
+                if (difference.trackIndex !== null) where.push(`Трек ${difference.trackIndex + 1}`);
+                if (difference.eventIndex !== null) where.push(`событие ${difference.eventIndex + 1}`);
+                if (difference.tick !== null) where.push(`тик ${difference.tick}`);
+                item.textContent = (where.length > 0 ? where.join(', ') + ': ' : '') + difference.message;
+                if (difference.expected !== null || difference.actual !== null) {
+                    item.title = `Было: ${JSON.stringify(difference.expected)}\nСтало: ${JSON.stringify(difference.actual)}`;
+                }
+                roundTripReport.appendChild(item);
+            });
+        } catch (error) {
+            exportStatus.textContent = '❌ Ошибка проверки: ' + error.message;
+            console.error('Ошибка кругового перевода:', error);
+        }
+    });
+
+    // ЗАПИСЬ MIDI С ПАРАМЕТРАМИ: формат, PPQ, running status
+    function writerOptions() {
+        const options = { runningStatus: document.getElementById('writerRunningStatus').checked };
+        const format = document.getElementById('writerFormat').value;
+        const ppq = document.getElementById('writerPpq').value;
+        if (format !== '') options.format = parseInt(format);
+        if (ppq !== '') options.ppq = parseInt(ppq);
+        return options;
+    }
+
+    function downloadMIDI(midiBytes, name) {
+        const blob = new Blob([midiBytes], { type: 'audio/midi' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    document.getElementById('saveMidiBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        const exportStatus = document.getElementById('exportStatus');
+        try {
+            const midiBytes = new MIDIWriter().createMIDI(midiToFullJSON(player.fileData), writerOptions());
+            downloadMIDI(midiBytes, currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '') + '.mid');
+            exportStatus.textContent = '✅ MIDI файл сохранён';
+        } catch (error) {
+            exportStatus.textContent = '❌ Ошибка записи: ' + error.message;
+        }
+    });
+
+    document.getElementById('splitChannelsBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        const exportStatus = document.getElementById('exportStatus');
+        if (player.fileData.format !== 0) {
+            exportStatus.textContent = 'Разделение по каналам доступно для файлов формата 0';
+            return;
+        }
+        try {
+            const json = splitByChannel(midiToFullJSON(player.fileData));
+            const { format, ...options } = writerOptions();
+            const midiBytes = new MIDIWriter().createMIDI(json, options);
+            downloadMIDI(midiBytes, currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '') + '.split.mid');
+            exportStatus.textContent = `✅ Файл разделён: ${json.tracks.length - 1} каналов`;
+        } catch (error) {
+            exportStatus.textContent = '❌ Ошибка записи: ' + error.message;
+        }
+    });
+
+    // ЭКСПОРТ CSV (midicsv)
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        const blob = new Blob([midiToCSV(player.fileData)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '') + '.csv';
+        a.click();
+        URL.revokeObjectURL(url);
+        document.getElementById('exportStatus').textContent = '✅ CSV сохранён';
+    });
+
+    // ЭКСПОРТ MUSICXML
+    document.getElementById('exportXmlBtn').addEventListener('click', () => {
+        const exportStatus = document.getElementById('exportStatus');
+        const baseName = currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '');
+        try {
+            const xml = player.exportToMusicXML(baseName);
+            if (!xml) return;
+            const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = baseName + '.musicxml';
+            a.click();
+            URL.revokeObjectURL(url);
+            exportStatus.textContent = '✅ MusicXML сохранён';
+        } catch (error) {
+            exportStatus.textContent = '❌ Ошибка экспорта MusicXML: ' + error.message;
+        }
+    });
+
+    // ИЗВЛЕЧЕНИЕ ПАРТИЙ: трек + канал → отдельный MIDI файл
+    const trackPicker = document.getElementById('trackPicker');
+    const extractPartsBtn = document.getElementById('extractPartsBtn');
+
+    function updateTrackPicker() {
+        trackPicker.innerHTML = '';
+        const parts = player.fileData ? describeParts(player.fileData) : [];
+        extractPartsBtn.disabled = parts.length === 0;
+        if (parts.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'empty';
+            item.textContent = player.fileData ? 'В файле нет нот' : 'Загрузите MIDI файл в плеере';
+            trackPicker.appendChild(item);
+            return;
+        }
+
+        parts.forEach(part => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.track = part.track;
+            checkbox.dataset.channel = part.channel;
+            const isDrum = part.channel === 9;
+            const program = isDrum ? 'ударные' :
+                `${part.program ?? 0}: ${instrumentName(part.program ?? 0)}`;
+            const name = part.name.trim() || 'Без названия';
+            label.append(checkbox,
+                ` Трек ${part.track + 1} «${name}», канал ${part.channel + 1}, ${program}, нот: ${part.notes}`);
+            item.appendChild(label);
+            trackPicker.appendChild(item);
+        });
+    }
+
+    extractPartsBtn.addEventListener('click', () => {
+        if (!player.fileData) return;
+        const exportStatus = document.getElementById('exportStatus');
+        const selection = [...trackPicker.querySelectorAll('input:checked')].map(checkbox => ({
+            track: parseInt(checkbox.dataset.track),
+            channel: parseInt(checkbox.dataset.channel)
+        }));
+        try {
+            const json = extractParts(midiToFullJSON(player.fileData), selection);
+            const midiBytes = new MIDIWriter().createMIDI(json, writerOptions());
+            downloadMIDI(midiBytes, currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '') + '.parts.mid');
+            exportStatus.textContent = `✅ Сохранено партий: ${selection.length}`;
+        } catch (error) {
+            exportStatus.textContent = '❌ Ошибка записи: ' + error.message;
+        }
+    });
+
     document.getElementById('downloadJsonBtn').addEventListener('click', () => {
         const jsonStr = document.getElementById('jsonOutput').value;
         const blob = new Blob([jsonStr], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = currentFileName.replace(/\.(mid|midi)$/i, '.json');
+        a.download = currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '.json');
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+
+    // ПРОВЕРКА ФАЙЛА
+    const validateStatus = document.getElementById('validateStatus');
+    const validationReport = document.getElementById('validationReport');
+    const downloadReportBtn = document.getElementById('downloadReportBtn');
+    let lastReport = null;
+
+    function clearValidationReport() {
+        lastReport = null;
+        validationReport.innerHTML = '';
+        validateStatus.textContent = '';
+        downloadReportBtn.disabled = true;
+    }
+
+    document.getElementById('validateBtn').addEventListener('click', () => {
+        if (!player.fileData) return;
+        lastReport = validateMIDI(player.fileData, player.warnings);
+        const { summary, counts, issues } = lastReport;
+
+        validateStatus.textContent = summary.total === 0
+            ? '✅ Проблем не найдено'
+            : `Найдено проблем: ${summary.total} (ошибок: ${summary.errors}, предупреждений: ${summary.warnings})`;
+
+        validationReport.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = issue.severity;
+            const where = [];
+            if (issue.trackIndex !== null) where.push(`Трек ${issue.trackIndex + 1}`);
+            if (issue.channel !== null) where.push(`канал ${issue.channel + 1}`);
+            if (issue.position !== null) where.push(`такт ${issue.position} (${formatTime(issue.time)})`);
+            item.textContent = (where.length > 0 ? where.join(', ') + ': ' : '') + issue.message;
+            item.title = issue.code;
+            validationReport.appendChild(item);
+        });
+
+        // Сколько подробностей не показано из-за ограничения на код
+        Object.entries(counts).forEach(([code, count]) => {
+            const shown = issues.filter(issue => issue.code === code).length;
+            if (count <= shown) return;
+            const item = document.createElement('li');
+            item.className = 'more';
+            item.textContent = `${code}: ещё ${count - shown} (не показаны)`;
+            validationReport.appendChild(item);
+        });
+
+        downloadReportBtn.disabled = false;
+    });
+
+    downloadReportBtn.addEventListener('click', () => {
+        if (!lastReport) return;
+        const blob = new Blob([JSON.stringify(lastReport, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '') + '.report.json';
         a.click();
         URL.revokeObjectURL(url);
     });
@@ -222,7 +706,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const url = URL.createObjectURL(wavBlob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = currentFileName.replace(/\.(mid|midi)$/i, '.wav');
+                a.download = currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '.wav');
                 a.click();
                 URL.revokeObjectURL(url);
                 
@@ -256,7 +740,7 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         jsonUploadArea.classList.remove('dragover');
         const file = e.dataTransfer.files[0];
-        if (file && file.type === 'application/json') {
+        if (file && (file.type === 'application/json' || /\.(abc|csv)$/i.test(file.name))) {
             handleJSONFile(file);
         }
     });
@@ -266,30 +750,50 @@ document.addEventListener('DOMContentLoaded', () => {
         if (file) handleJSONFile(file);
     });
 
+    const jsonHighlighter = new JSONErrorHighlighter(
+        document.getElementById('jsonInput'),
+        document.getElementById('jsonBackdrop'),
+        document.getElementById('jsonErrors')
+    );
+
     function handleJSONFile(file) {
         const reader = new FileReader();
         reader.onload = (e) => {
+            if (/\.abc$/i.test(file.name)) {
+                document.getElementById('abcInput').value = e.target.result;
+                return;
+            }
+            if (/\.csv$/i.test(file.name)) {
+                document.getElementById('csvInput').value = e.target.result;
+                return;
+            }
             document.getElementById('jsonInput').value = e.target.result;
+            jsonHighlighter.clear();
         };
         reader.readAsText(file);
     }
 
+    // Проверка JSON перед созданием MIDI: при ошибках подсвечивает их и возвращает null
+    function readCreateJSON() {
+        const { data, errors } = validateNoteJSON(document.getElementById('jsonInput').value);
+        jsonHighlighter.show(errors);
+        if (errors.length > 0) {
+            document.getElementById('importStatus').textContent = `❌ Ошибок в JSON: ${errors.length}`;
+            return null;
+        }
+        return data;
+    }
+
     // СОЗДАНИЕ MIDI
     document.getElementById('createMidiBtn').addEventListener('click', () => {
         try {
-            const jsonStr = document.getElementById('jsonInput').value;
-            const jsonData = JSON.parse(jsonStr);
+            const jsonData = readCreateJSON();
+            if (!jsonData) return;
             
             const writer = new MIDIWriter();
             const midiBytes = writer.createMIDI(jsonData);
             
-            const blob = new Blob([midiBytes], { type: 'audio/midi' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'created.mid';
-            a.click();
-            URL.revokeObjectURL(url);
+            downloadMIDI(midiBytes, 'created.mid');
             
             document.getElementById('importStatus').textContent = '✅ MIDI файл создан и скачан!';
         } catch (error) {
@@ -299,39 +803,106 @@ document.addEventListener('DOMContentLoaded', () => {
 
     document.getElementById('previewMidiBtn').addEventListener('click', () => {
         try {
-            const jsonStr = document.getElementById('jsonInput').value;
-            const jsonData = JSON.parse(jsonStr);
-            
-            const writer = new MIDIWriter();
-            const midiBytes = writer.createMIDI(jsonData);
-            
-            player.loadMIDI(midiBytes.buffer);
-            
-            tabs[0].click();
-            
-            fileName.textContent = 'Предпросмотр созданного MIDI';
-            fileInfo.classList.add('active');
-            midiInfo.textContent = `Треков: ${jsonData.tracks.length}`;
-            
-            visualizerEl.classList.add('active');
-            visualizationMode.classList.add('active');
-            instrumentSelector.classList.add('active');
-            volumeControl.classList.add('active');
-            tempoControl.classList.add('active');
-            progressContainer.classList.add('active');
-            
-            totalTimeEl.textContent = formatTime(player.duration);
-            
-            playBtn.disabled = false;
-            pauseBtn.disabled = false;
-            stopBtn.disabled = false;
-            
-            document.getElementById('importStatus').textContent = '✅ Предпросмотр готов!';
+            const jsonData = readCreateJSON();
+            if (!jsonData) return;
+            previewJSON(jsonData);
         } catch (error) {
             document.getElementById('importStatus').textContent = '❌ Ошибка: ' + error.message;
         }
     });
 
+    // Запись JSON в MIDI и загрузка в плеер
+    function previewJSON(jsonData) {
+        const writer = new MIDIWriter();
+        const midiBytes = writer.createMIDI(jsonData);
+        
+        player.loadMIDI(midiBytes.buffer);
+        
+        tabs[0].click();
+        
+        fileName.textContent = 'Предпросмотр созданного MIDI';
+        fileInfo.classList.add('active');
+        midiInfo.textContent = `Треков: ${jsonData.tracks.length}`;
+        
+        visualizerEl.classList.add('active');
+        visualizationMode.classList.add('active');
+        instrumentSelector.classList.add('active');
+        volumeControl.classList.add('active');
+        tempoControl.classList.add('active');
+        progressContainer.classList.add('active');
+        
+        totalTimeEl.textContent = formatTime(player.duration);
+        updateBarInfo();
+        updateSequenceSelector();
+        lyricsPanel.setLyrics(extractLyrics(player.song.events));
+        updateTrackPicker();
+        mixerPanel.setSong(player.song);
+        
+        playBtn.disabled = false;
+        pauseBtn.disabled = false;
+        stopBtn.disabled = false;
+        startEditing();
+        // Отчёт и предупреждения относились к прежнему файлу
+        clearValidationReport();
+        showParseWarnings(player.warnings);
+        
+        document.getElementById('importStatus').textContent = '✅ Предпросмотр готов!';
+    }
+
+    // ABC НОТАЦИЯ
+    function readABC() {
+        return new ABCParser(document.getElementById('abcInput').value).parse();
+    }
+
+    document.getElementById('abcCreateBtn').addEventListener('click', () => {
+        try {
+            const jsonData = readABC();
+            const midiBytes = new MIDIWriter().createMIDI(jsonData);
+            const name = jsonData.tracks[0].name.replace(/[\\/:*?"<>|]+/g, '_');
+            downloadMIDI(midiBytes, name + '.mid');
+            document.getElementById('importStatus').textContent = '✅ MIDI файл из ABC создан и скачан!';
+        } catch (error) {
+            document.getElementById('importStatus').textContent = '❌ Ошибка ABC: ' + error.message;
+        }
+    });
+
+    document.getElementById('abcPreviewBtn').addEventListener('click', () => {
+        try {
+            previewJSON(readABC());
+        } catch (error) {
+            document.getElementById('importStatus').textContent = '❌ Ошибка ABC: ' + error.message;
+        }
+    });
+
+    document.getElementById('abcToJsonBtn').addEventListener('click', () => {
+        try {
+            document.getElementById('jsonInput').value = JSON.stringify(readABC(), null, 2);
+            jsonHighlighter.clear();
+            document.getElementById('importStatus').textContent = '✅ ABC преобразован в JSON';
+        } catch (error) {
+            document.getElementById('importStatus').textContent = '❌ Ошибка ABC: ' + error.message;
+        }
+    });
+
+    // CSV (midicsv)
+    document.getElementById('csvCreateBtn').addEventListener('click', () => {
+        try {
+            const midiBytes = new MIDIWriter().createMIDI(csvToJSON(document.getElementById('csvInput').value));
+            downloadMIDI(midiBytes, 'created.mid');
+            document.getElementById('importStatus').textContent = '✅ MIDI файл из CSV создан и скачан!';
+        } catch (error) {
+            document.getElementById('importStatus').textContent = '❌ Ошибка CSV: ' + error.message;
+        }
+    });
+
+    document.getElementById('csvPreviewBtn').addEventListener('click', () => {
+        try {
+            previewJSON(csvToJSON(document.getElementById('csvInput').value));
+        } catch (error) {
+            document.getElementById('importStatus').textContent = '❌ Ошибка CSV: ' + error.message;
+        }
+    });
+
     // ЗАПИСЬ
     document.getElementById('startRecordBtn').addEventListener('click', async () => {
         await player.startRecording();
@@ -353,7 +924,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const url = URL.createObjectURL(audioBlob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = currentFileName.replace(/\.(mid|midi)$/i, '.webm');
+                a.download = currentFileName.replace(/\.(mid|midi|rmi|kar)$/i, '.webm');
                 a.click();
                 URL.revokeObjectURL(url);
             };
@@ -367,6 +938,88 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+const SYSEX_MODE_NAMES = {
+    gmSystemOn: 'GM',
+    gm2SystemOn: 'GM2',
+    gsReset: 'GS',
+    xgSystemOn: 'XG'
+};
+
+// Строки для информационной панели: названия, копирайт, размер, тональность, маркеры
+function describeMetaEvents(midiData) {
+    const lines = [];
+    const firstText = (type) => {
+        for (const track of midiData.tracks) {
+            const event = track.events.find(e => e.type === type);
+            if (event && event.text.trim()) return event.text.trim();
+        }
+        return null;
+    };
+
+    const rmidInfo = midiData.rmid ? midiData.rmid.info : {};
+    const title = rmidInfo.title || (midiData.format !== 2 && midiData.tracks[0] ? midiData.tracks[0].name : null);
+    if (title && title.trim()) lines.push(`Название: ${title.trim()}`);
+    if (rmidInfo.artist) lines.push(`Исполнитель: ${rmidInfo.artist}`);
+
+    const copyright = rmidInfo.copyright || firstText('copyright');
+    if (copyright) lines.push(`© ${copyright}`);
+
+    if (midiData.timeSignatureMap.length > 0) {
+        const ts = midiData.timeSignatureMap[0];
+        let text = `Размер: ${ts.numerator}/${ts.denominator}`;
+        if (midiData.timeSignatureMap.length > 1) {
+            text += ` (смен: ${midiData.timeSignatureMap.length - 1})`;
+        }
+        lines.push(text);
+    }
+
+    if (midiData.keySignatureMap.length > 0) {
+        lines.push(`Тональность: ${midiData.keySignatureMap[0].name}`);
+    }
+
+    const trackNames = midiData.tracks
+        .map((track, index) => {
+            const instrument = track.events.find(e => e.type === 'instrumentName');
+            const name = (track.name || '').trim();
+            const instrumentName = instrument ? instrument.text.trim() : '';
+            if (!name && !instrumentName) return null;
+            return `${index + 1}. ${name}${instrumentName && instrumentName !== name ? ` [${instrumentName}]` : ''}`;
+        })
+        .filter(Boolean);
+    if (trackNames.length > 0) {
+        lines.push(`Треки: ${trackNames.join(', ')}`);
+    }
+
+    let markers = 0;
+    let lyrics = 0;
+    const modes = new Set();
+    midiData.tracks.forEach(track => {
+        track.events.forEach(event => {
+            if (event.type === 'marker' || event.type === 'cuePoint') markers++;
+            else if (event.type === 'lyrics') lyrics++;
+            else if (event.type === 'sysex' && event.message) {
+                const mode = SYSEX_MODE_NAMES[event.message.kind];
+                if (mode) modes.add(mode);
+            }
+        });
+    });
+    if (modes.size > 0) lines.push(`Режим синтезатора: ${[...modes].join(', ')}`);
+    if (markers > 0) lines.push(`Маркеров: ${markers}`);
+    if (lyrics > 0) lines.push(`Слогов текста: ${lyrics}`);
+
+    if (midiData.rmid) {
+        let text = 'Контейнер: RIFF RMID';
+        if (midiData.rmid.dls) text += ' (встроенный банк DLS не используется)';
+        lines.push(text);
+        if (rmidInfo.comment) lines.push(`Комментарий: ${rmidInfo.comment}`);
+    }
+    if (midiData.sequences) {
+        lines.push(`Независимых последовательностей: ${midiData.sequences.length}`);
+    }
+
+    return lines;
+}
+
 function formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
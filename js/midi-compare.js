@@ -0,0 +1,81 @@
+import { MIDIParser } from './midi-parser.js';
+import { MIDIWriter } from './midi-writer.js';
+import { midiToFullJSON, eventToJSON } from './midi-json.js';
+
+// ===== СРАВНЕНИЕ MIDI И ПРОВЕРКА КРУГОВОГО ПЕРЕВОДА =====
+//
+// Файлы сравниваются по смыслу: заголовок (формат, деление времени, число треков),
+// события каждого трека с тиками и порядком, события после End of Track.
+// Различия в кодировании (running status, длина VLQ) не считаются потерей;
+// текст сравнивается вместе с исходными байтами, если он не в UTF-8.
+
+// Подробностей о различиях не больше этого числа
+const MAX_DIFFERENCES = 50;
+
+// Результат: { equal, differences: [{ trackIndex, eventIndex, tick, message, expected, actual }] }
+export function compareMIDI(expected, actual) {
+    const differences = [];
+    let total = 0;
+    const report = (message, details = {}) => {
+        total++;
+        if (differences.length < MAX_DIFFERENCES) {
+            differences.push({ trackIndex: null, eventIndex: null, tick: null, expected: null, actual: null, message, ...details });
+        }
+    };
+
+    if (expected.format !== actual.format) {
+        report('Формат SMF отличается', { expected: expected.format, actual: actual.format });
+    }
+    if (expected.timeDivision !== actual.timeDivision) {
+        report('Деление времени отличается', { expected: expected.timeDivision, actual: actual.timeDivision });
+    }
+    if (expected.tracks.length !== actual.tracks.length) {
+        report('Число треков отличается', { expected: expected.tracks.length, actual: actual.tracks.length });
+    }
+
+    const trackCount = Math.min(expected.tracks.length, actual.tracks.length);
+    for (let trackIndex = 0; trackIndex < trackCount; trackIndex++) {
+        const expectedTrack = expected.tracks[trackIndex];
+        const actualTrack = actual.tracks[trackIndex];
+        const expectedEvents = expectedTrack.events.map(event => JSON.stringify(eventToJSON(event)));
+        const actualEvents = actualTrack.events.map(event => JSON.stringify(eventToJSON(event)));
+
+        const length = Math.max(expectedEvents.length, actualEvents.length);
+        for (let eventIndex = 0; eventIndex < length; eventIndex++) {
+            if (expectedEvents[eventIndex] === actualEvents[eventIndex]) continue;
+            const expectedEvent = expectedTrack.events[eventIndex];
+            const actualEvent = actualTrack.events[eventIndex];
+            let message = 'Событие отличается';
+            if (!expectedEvent) message = 'Лишнее событие';
+            if (!actualEvent) message = 'Событие потеряно';
+            report(message, {
+                trackIndex,
+                eventIndex,
+                tick: (expectedEvent || actualEvent).time,
+                expected: expectedEvent ? eventToJSON(expectedEvent) : null,
+                actual: actualEvent ? eventToJSON(actualEvent) : null
+            });
+        }
+
+        // Проигрыватели их не слышат, но при переводе они не должны пропадать или меняться
+        const expectedAfterEnd = (expectedTrack.eventsAfterEnd || []).map(event => JSON.stringify(eventToJSON(event)));
+        const actualAfterEnd = (actualTrack.eventsAfterEnd || []).map(event => JSON.stringify(eventToJSON(event)));
+        if (expectedAfterEnd.join('\n') !== actualAfterEnd.join('\n')) {
+            const message = expectedAfterEnd.length > 0
+                ? `${expectedAfterEnd.length} событий после End of Track не сохранены`
+                : `${actualAfterEnd.length} лишних событий после End of Track`;
+            report(message, { trackIndex, expected: expectedAfterEnd.length, actual: actualAfterEnd.length });
+        }
+    }
+
+    return { equal: total === 0, total, differences };
+}
+
+// Результат MIDIParser → JSON без потерь → MIDIWriter → MIDIParser, затем сравнение.
+// Возвращает { equal, total, differences, json, bytes }
+export function checkRoundTrip(midiData) {
+    const json = midiToFullJSON(midiData);
+    const bytes = new MIDIWriter().createMIDI(json);
+    const roundTripped = new MIDIParser(bytes.buffer).parse();
+    return { ...compareMIDI(midiData, roundTripped), json, bytes };
+}
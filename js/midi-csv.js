@@ -0,0 +1,383 @@
+// ===== CSV В ФОРМАТЕ MIDICSV =====
+//
+// Строка — одно событие: Трек, Время (тики), Тип, параметры...
+//   0, 0, Header, формат, число треков, деление
+//   1, 0, Start_track
+//   1, 0, Title_t, "Название"
+//   1, 0, Note_on_c, канал, нота, громкость
+//   1, 480, End_track
+//   0, 0, End_of_file
+// Строки в кавычках: кавычка удваивается, управляющие байты — \ooo (восьмерично), обратная косая — \\.
+// Текст пишется как есть (UTF-8), а не байтами. Пустые строки и комментарии (# или ;) пропускаются.
+// Импорт даёт полный JSON (fidelity: 'full') для MIDIWriter.
+
+// Текстовые мета-события: тип midicsv ⇄ тип события парсера
+const TEXT_TYPES = {
+    text: 'Text_t',
+    copyright: 'Copyright_t',
+    trackName: 'Title_t',
+    instrumentName: 'Instrument_name_t',
+    lyrics: 'Lyric_t',
+    marker: 'Marker_t',
+    cuePoint: 'Cue_point_t'
+};
+const TEXT_TYPES_BY_NAME = Object.fromEntries(Object.entries(TEXT_TYPES).map(([type, name]) => [name, type]));
+
+// Мета-события без отдельного типа в midicsv — пишутся как Unknown_meta_event
+const OTHER_TEXT_META = { programName: 0x08, deviceName: 0x09 };
+
+const SMPTE_OFFSET_RATES = [24, 25, 29.97, 30];
+
+// ===== ЭКСПОРТ =====
+
+function quoteString(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (char === '"') {
+            result += '""';
+        } else if (char === '\\') {
+            result += '\\\\';
+        } else if (code < 32 || code === 127) {
+            result += '\\' + code.toString(8).padStart(3, '0');
+        } else {
+            result += char;
+        }
+    }
+    return `"${result}"`;
+}
+
+function bytesFields(bytes) {
+    return [bytes.length, ...bytes];
+}
+
+// Поля события после «Трек, Время»; null — событие не представимо (не встречается у парсера)
+function eventFields(event) {
+    if (TEXT_TYPES[event.type]) return [TEXT_TYPES[event.type], quoteString(event.text)];
+    if (OTHER_TEXT_META[event.type] !== undefined) {
+        return ['Unknown_meta_event', OTHER_TEXT_META[event.type], ...bytesFields([...new TextEncoder().encode(event.text)])];
+    }
+
+    switch (event.type) {
+        case 'noteOn':
+            return ['Note_on_c', event.channel, event.note, event.velocity];
+        case 'noteOff':
+            // Note on с нулевой громкостью остаётся собой — так файл восстанавливается байт в байт
+            return event.zeroVelocityNoteOn
+                ? ['Note_on_c', event.channel, event.note, 0]
+                : ['Note_off_c', event.channel, event.note, event.velocity ?? 0];
+        case 'polyPressure':
+            return ['Poly_aftertouch_c', event.channel, event.note, event.pressure];
+        case 'controlChange':
+            return ['Control_c', event.channel, event.controller, event.value];
+        case 'programChange':
+            return ['Program_c', event.channel, event.program];
+        case 'channelPressure':
+            return ['Channel_aftertouch_c', event.channel, event.pressure];
+        case 'pitchBend':
+            return ['Pitch_bend_c', event.channel, event.value];
+        case 'sequenceNumber':
+            return ['Sequence_number', event.number];
+        case 'channelPrefix':
+            return ['Channel_prefix', event.channel];
+        case 'midiPort':
+            return ['MIDI_port', event.port];
+        case 'tempo':
+            return ['Tempo', event.microsecondsPerBeat];
+        case 'smpteOffset': {
+            // Час — как байт файла: код частоты кадров в битах 5-6
+            const rate = Math.max(0, SMPTE_OFFSET_RATES.indexOf(event.frameRate));
+            return ['SMPTE_offset', (rate << 5) | event.hours, event.minutes, event.seconds, event.frames, event.subFrames];
+        }
+        case 'timeSignature':
+            return ['Time_signature', event.numerator, Math.log2(event.denominator), event.metronome, event.thirtySeconds];
+        case 'keySignature':
+            return ['Key_signature', event.key, event.scale === 1 ? '"minor"' : '"major"'];
+        case 'sequencerSpecific':
+            return ['Sequencer_specific', ...bytesFields(event.data)];
+        case 'meta':
+            return ['Unknown_meta_event', event.metaType, ...bytesFields(event.data)];
+        case 'sysex':
+            return [event.status === 0xF7 ? 'System_exclusive_packet' : 'System_exclusive', ...bytesFields(event.data)];
+        default:
+            return null;
+    }
+}
+
+// Результат MIDIParser → текст midicsv (события после End of Track не входят)
+export function midiToCSV(midiData) {
+    const division = midiData.isSMPTE
+        ? ((256 - (midiData.dropFrame ? 29 : midiData.framesPerSecond)) << 8) | midiData.ticksPerFrame
+        : midiData.ticksPerBeat;
+    const lines = [`0, 0, Header, ${midiData.format}, ${midiData.tracks.length}, ${division}`];
+
+    midiData.tracks.forEach((track, index) => {
+        const number = index + 1;
+        let endTime = 0;
+        lines.push(`${number}, 0, Start_track`);
+        track.events.forEach(event => {
+            endTime = Math.max(endTime, event.time);
+            if (event.type === 'endOfTrack') return;
+            const fields = eventFields(event);
+            if (fields) lines.push([number, event.time, ...fields].join(', '));
+        });
+        lines.push(`${number}, ${endTime}, End_track`);
+    });
+
+    lines.push('0, 0, End_of_file');
+    return lines.join('\n') + '\n';
+}
+
+// ===== ИМПОРТ =====
+
+// Поля строки CSV: числа и идентификаторы — строками, строки в кавычках — { text: байты как строка }
+function splitLine(line, lineNumber) {
+    const fields = [];
+    let pos = 0;
+    while (pos <= line.length) {
+        while (line[pos] === ' ' || line[pos] === '\t') pos++;
+        if (line[pos] === '"') {
+            let text = '';
+            pos++;
+            while (true) {
+                if (pos >= line.length) throw new Error(`Строка ${lineNumber}: незакрытая кавычка`);
+                if (line[pos] === '"') {
+                    if (line[pos + 1] === '"') {
+                        text += '"';
+                        pos += 2;
+                        continue;
+                    }
+                    pos++;
+                    break;
+                }
+                text += line[pos++];
+            }
+            fields.push({ text });
+            while (line[pos] === ' ' || line[pos] === '\t') pos++;
+        } else {
+            const comma = line.indexOf(',', pos);
+            const end = comma < 0 ? line.length : comma;
+            fields.push(line.slice(pos, end).trim());
+            pos = end;
+        }
+        if (pos < line.length && line[pos] !== ',') {
+            throw new Error(`Строка ${lineNumber}: после строки в кавычках ожидается запятая`);
+        }
+        pos++;
+    }
+    return fields;
+}
+
+// Строка midicsv → текст события: \ooo — байт, \\ — обратная косая, остальное — как есть (UTF-8)
+function unquoteString(text) {
+    const bytes = [];
+    const encoder = new TextEncoder();
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === '\\') {
+            bytes.push(0x5C);
+            i++;
+        } else if (text[i] === '\\' && /^[0-7]{3}$/.test(text.slice(i + 1, i + 4))) {
+            bytes.push(parseInt(text.slice(i + 1, i + 4), 8) & 0xFF);
+            i += 3;
+        } else {
+            const char = String.fromCodePoint(text.codePointAt(i));
+            bytes.push(...encoder.encode(char));
+            i += char.length - 1;
+        }
+    }
+    // Байты не в UTF-8 — старые файлы в Windows-1251, как при разборе MIDI
+    const data = new Uint8Array(bytes);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch (e) {
+        return new TextDecoder('windows-1251').decode(data);
+    }
+}
+
+class CSVLine {
+    constructor(fields, lineNumber) {
+        this.fields = fields;
+        this.lineNumber = lineNumber;
+        this.index = 3;
+    }
+
+    fail(message) {
+        throw new Error(`Строка ${this.lineNumber}: ${message}`);
+    }
+
+    integer(name, min, max) {
+        const field = this.fields[this.index++];
+        if (typeof field !== 'string' || !/^[+-]?\d+$/.test(field)) {
+            this.fail(`${name} — ожидается целое число`);
+        }
+        const value = parseInt(field, 10);
+        if (value < min || value > max) this.fail(`${name} вне диапазона ${min}-${max}: ${value}`);
+        return value;
+    }
+
+    string(name) {
+        const field = this.fields[this.index++];
+        if (typeof field !== 'object') this.fail(`${name} — ожидается строка в кавычках`);
+        return field.text;
+    }
+
+    // «Длина, байт, байт, ...»
+    bytes() {
+        const length = this.integer('Длина', 0, 0x0FFFFFFF);
+        if (this.fields.length - this.index !== length) {
+            this.fail(`заявлено байт: ${length}, указано: ${this.fields.length - this.index}`);
+        }
+        const data = [];
+        for (let i = 0; i < length; i++) data.push(this.integer('Байт данных', 0, 255));
+        return data;
+    }
+}
+
+// Поля строки (после «Трек, Время, Тип») → событие полного JSON
+function parseEvent(type, line, time) {
+    const channel = () => line.integer('Канал', 0, 15);
+    const data7 = name => line.integer(name, 0, 127);
+
+    if (TEXT_TYPES_BY_NAME[type]) {
+        return { type: TEXT_TYPES_BY_NAME[type], time, text: unquoteString(line.string('Текст')) };
+    }
+
+    switch (type) {
+        case 'Note_on_c': {
+            const event = { time, channel: channel(), note: data7('Нота'), velocity: data7('Громкость') };
+            return event.velocity > 0
+                ? { type: 'noteOn', ...event }
+                : { type: 'noteOff', ...event, zeroVelocityNoteOn: true };
+        }
+        case 'Note_off_c':
+            return { type: 'noteOff', time, channel: channel(), note: data7('Нота'), velocity: data7('Громкость') };
+        case 'Poly_aftertouch_c':
+            return { type: 'polyPressure', time, channel: channel(), note: data7('Нота'), pressure: data7('Давление') };
+        case 'Control_c':
+            return { type: 'controlChange', time, channel: channel(), controller: data7('Контроллер'), value: data7('Значение') };
+        case 'Program_c':
+            return { type: 'programChange', time, channel: channel(), program: data7('Программа') };
+        case 'Channel_aftertouch_c':
+            return { type: 'channelPressure', time, channel: channel(), pressure: data7('Давление') };
+        case 'Pitch_bend_c':
+            return { type: 'pitchBend', time, channel: channel(), value: line.integer('Значение', 0, 16383) };
+        case 'Sequence_number':
+            return { type: 'sequenceNumber', time, number: line.integer('Номер', 0, 65535) };
+        case 'Channel_prefix':
+            return { type: 'channelPrefix', time, channel: channel() };
+        case 'MIDI_port':
+            return { type: 'midiPort', time, port: line.integer('Порт', 0, 255) };
+        case 'Tempo':
+            return { type: 'tempo', time, microsecondsPerBeat: line.integer('Темп', 1, 0xFFFFFF) };
+        case 'SMPTE_offset': {
+            const hourByte = line.integer('Час', 0, 255);
+            return {
+                type: 'smpteOffset',
+                time,
+                frameRate: SMPTE_OFFSET_RATES[(hourByte >> 5) & 0x03],
+                hours: hourByte & 0x1F,
+                minutes: line.integer('Минуты', 0, 59),
+                seconds: line.integer('Секунды', 0, 59),
+                frames: line.integer('Кадр', 0, 255),
+                subFrames: line.integer('Доля кадра', 0, 255)
+            };
+        }
+        case 'Time_signature':
+            return {
+                type: 'timeSignature',
+                time,
+                numerator: line.integer('Числитель', 1, 255),
+                denominator: Math.pow(2, line.integer('Знаменатель (степень двойки)', 0, 7)),
+                metronome: line.integer('Клики метронома', 0, 255),
+                thirtySeconds: line.integer('Тридцать вторых в четверти', 0, 255)
+            };
+        case 'Key_signature': {
+            const key = line.integer('Тональность', -7, 7);
+            const mode = line.string('Лад').toLowerCase();
+            if (mode !== 'major' && mode !== 'minor') line.fail(`лад должен быть "major" или "minor": "${mode}"`);
+            return { type: 'keySignature', time, key, scale: mode === 'minor' ? 1 : 0 };
+        }
+        case 'Sequencer_specific':
+            return { type: 'sequencerSpecific', time, data: line.bytes() };
+        case 'Unknown_meta_event':
+            return { type: 'meta', time, metaType: line.integer('Тип мета-события', 0, 255), data: line.bytes() };
+        case 'System_exclusive':
+            return { type: 'sysex', time, status: 0xF0, data: line.bytes() };
+        case 'System_exclusive_packet':
+            return { type: 'sysex', time, status: 0xF7, data: line.bytes() };
+        default:
+            return line.fail(`неизвестный тип записи "${type}"`);
+    }
+}
+
+// Текст midicsv → полный JSON для MIDIWriter
+export function csvToJSON(text) {
+    let header = null;
+    let track = null;
+    let finished = false;
+    const tracks = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const trimmed = raw.trim();
+        if (trimmed === '' || trimmed[0] === '#' || trimmed[0] === ';') return;
+        if (finished) throw new Error(`Строка ${lineNumber}: данные после End_of_file`);
+
+        const fields = splitLine(raw, lineNumber);
+        const line = new CSVLine(fields, lineNumber);
+        if (fields.length < 3) line.fail('ожидается «Трек, Время, Тип, ...»');
+        line.index = 0;
+        const trackNumber = line.integer('Трек', 0, 65535);
+        const time = line.integer('Время', 0, 0x0FFFFFFF);
+        const type = fields[2];
+        line.index = 3;
+
+        if (type === 'Header') {
+            if (header) line.fail('повторный Header');
+            header = {
+                format: line.integer('Формат', 0, 2),
+                trackCount: line.integer('Число треков', 1, 65535),
+                division: line.integer('Деление', 1, 65535)
+            };
+            return;
+        }
+        if (!header) line.fail('файл должен начинаться с Header');
+        if (type === 'End_of_file') {
+            if (track) line.fail(`трек ${track.number} не завершён End_track`);
+            finished = true;
+            return;
+        }
+        if (type === 'Start_track') {
+            if (track) line.fail(`трек ${track.number} не завершён End_track`);
+            track = { number: trackNumber, events: [] };
+            return;
+        }
+        if (!track) line.fail(`запись "${type}" вне трека (нет Start_track)`);
+        if (trackNumber !== track.number) line.fail(`номер трека ${trackNumber} внутри трека ${track.number}`);
+
+        if (type === 'End_track') {
+            track.events.push({ type: 'endOfTrack', time });
+            tracks.push({ events: track.events });
+            track = null;
+            return;
+        }
+
+        const event = parseEvent(type, line, time);
+        if (line.index < fields.length) line.fail('лишние поля в конце строки');
+        track.events.push(event);
+    });
+
+    if (!header) throw new Error('В CSV нет записи Header');
+    if (track) throw new Error(`Трек ${track.number} не завершён End_track`);
+    if (tracks.length === 0) throw new Error('В CSV нет ни одного трека');
+
+    const json = { fidelity: 'full', format: header.format, timeUnit: 'ticks' };
+    if (header.division & 0x8000) {
+        json.smpte = { framesPerSecond: 256 - (header.division >> 8), ticksPerFrame: header.division & 0xFF };
+    } else {
+        json.ppq = header.division;
+    }
+    json.tracks = tracks;
+    return json;
+}
+
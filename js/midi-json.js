@@ -0,0 +1,157 @@
+// ===== JSON БЕЗ ПОТЕРЬ =====
+//
+// Полное представление результата MIDIParser для MIDIWriter (fidelity: 'full'):
+//   { fidelity, format, ppq | smpte, timeUnit: 'ticks', tracks: [{ events, eventsAfterEnd? }] }
+// События — как у парсера, в абсолютных тиках и в исходном порядке, включая End of Track.
+// eventsAfterEnd — события между End of Track и концом чанка (не звучат, но записываются обратно).
+// Производные поля (bpm, название тональности, распознанный SysEx) не сохраняются.
+// Текст не в UTF-8 (Windows-1251 в .kar) хранит исходные байты в data рядом с text — запись вернёт их как были.
+
+// Поля, которые парсер вычисляет сам и которые не нужны для записи
+const DERIVED_FIELDS = {
+    tempo: ['bpm'],
+    keySignature: ['name'],
+    sysex: ['message']
+};
+
+// Событие парсера → JSON-совместимый объект (байты — обычным массивом)
+export function eventToJSON(event) {
+    const result = {};
+    const derived = DERIVED_FIELDS[event.type] || [];
+    Object.keys(event).forEach(key => {
+        if (derived.includes(key)) return;
+        const value = event[key];
+        result[key] = value instanceof Uint8Array ? Array.from(value) : value;
+    });
+    return result;
+}
+
+export function midiToFullJSON(midiData) {
+    const json = {
+        fidelity: 'full',
+        format: midiData.format,
+        timeUnit: 'ticks'
+    };
+
+    if (midiData.isSMPTE) {
+        json.smpte = {
+            framesPerSecond: midiData.dropFrame ? 29 : midiData.framesPerSecond,
+            ticksPerFrame: midiData.ticksPerFrame
+        };
+    } else {
+        json.ppq = midiData.ticksPerBeat;
+    }
+
+    json.tracks = midiData.tracks.map(track => {
+        const result = { events: track.events.map(eventToJSON) };
+        if (track.eventsAfterEnd && track.eventsAfterEnd.length > 0) {
+            result.eventsAfterEnd = track.eventsAfterEnd.map(eventToJSON);
+        }
+        return result;
+    });
+
+    return json;
+}
+
+// Канальные события (остальные — мета-события и SysEx)
+const CHANNEL_EVENT_TYPES = new Set([
+    'noteOn', 'noteOff', 'polyPressure', 'controlChange', 'programChange', 'channelPressure', 'pitchBend'
+]);
+
+// Полный JSON → формат 1 с треком на канал: трек 1 — мета-события и SysEx (темп, размер, текст),
+// далее по треку на каждый использованный канал в порядке номеров. Обычно применяется к формату 0.
+export function splitByChannel(json) {
+    const conductor = [];
+    const channels = new Map(); // канал → события
+    let endTime = 0;
+
+    json.tracks.forEach(track => {
+        track.events.forEach(event => {
+            if (event.type === 'endOfTrack') {
+                endTime = Math.max(endTime, event.time);
+            } else if (CHANNEL_EVENT_TYPES.has(event.type)) {
+                if (!channels.has(event.channel)) channels.set(event.channel, []);
+                channels.get(event.channel).push(event);
+            } else {
+                conductor.push(event);
+            }
+        });
+    });
+
+    const byTime = (a, b) => a.time - b.time;
+    const endOfTrack = { type: 'endOfTrack', time: endTime };
+    const tracks = [{ events: [...conductor.sort(byTime), endOfTrack] }];
+    [...channels.keys()].sort((a, b) => a - b).forEach(channel => {
+        tracks.push({
+            events: [
+                { type: 'trackName', time: 0, text: `Канал ${channel + 1}` },
+                ...channels.get(channel).sort(byTime),
+                endOfTrack
+            ]
+        });
+    });
+
+    return { ...json, format: 1, tracks };
+}
+
+// Мета-события, задающие время всей песни: при извлечении партий переносятся в первый трек
+const CONDUCTOR_EVENT_TYPES = new Set(['tempo', 'timeSignature', 'keySignature', 'smpteOffset']);
+
+// Партии файла для выбора: по строке на пару трек + канал с нотами
+//   [{ track, channel, name, program, notes }], program — первая смена программы на канале в треке (или null)
+export function describeParts(midiData) {
+    const parts = [];
+    midiData.tracks.forEach((track, trackIndex) => {
+        const channels = new Map();
+        track.events.forEach(event => {
+            if (!CHANNEL_EVENT_TYPES.has(event.type)) return;
+            if (!channels.has(event.channel)) channels.set(event.channel, { program: null, notes: 0 });
+            const info = channels.get(event.channel);
+            if (event.type === 'noteOn') info.notes++;
+            if (event.type === 'programChange' && info.program === null) info.program = event.program;
+        });
+        [...channels.keys()].sort((a, b) => a - b).forEach(channel => {
+            const info = channels.get(channel);
+            if (info.notes === 0) return;
+            parts.push({ track: trackIndex, channel, name: track.name || '', program: info.program, notes: info.notes });
+        });
+    });
+    return parts;
+}
+
+// Полный JSON → только выбранные партии (selection: [{ track, channel }]).
+// Первый трек остаётся всегда; из остальных — те, где выбран хотя бы один канал.
+// Мета-события и SysEx выбранных треков сохраняются, темп, размер и тональность
+// из отброшенных треков переносятся в первый. В формате 2 треки независимы и ничего не переносится
+export function extractParts(json, selection) {
+    if (selection.length === 0) throw new Error('Не выбрано ни одной партии');
+
+    const selected = new Set(selection.map(({ track, channel }) => `${track}:${channel}`));
+    const keptTracks = new Set(selection.map(({ track }) => track));
+    if (json.format !== 2) keptTracks.add(0);
+
+    const moved = [];
+    if (json.format !== 2) {
+        json.tracks.forEach((track, trackIndex) => {
+            if (keptTracks.has(trackIndex)) return;
+            track.events.forEach(event => {
+                if (CONDUCTOR_EVENT_TYPES.has(event.type)) moved.push(event);
+            });
+        });
+    }
+
+    const tracks = [];
+    json.tracks.forEach((track, trackIndex) => {
+        if (!keptTracks.has(trackIndex)) return;
+        let events = track.events.filter(event =>
+            !CHANNEL_EVENT_TYPES.has(event.type) || selected.has(`${trackIndex}:${event.channel}`));
+        if (tracks.length === 0 && moved.length > 0) {
+            // Стабильная сортировка: события одного тика сохраняют порядок, End of Track остаётся последним
+            events = [...events, ...moved].sort((a, b) =>
+                a.time - b.time || (a.type === 'endOfTrack') - (b.type === 'endOfTrack'));
+        }
+        tracks.push({ ...track, events });
+    });
+
+    return { ...json, tracks };
+}
@@ -0,0 +1,100 @@
+import { Song } from './song.js';
+
+// ===== ЗАГРУЗКА MIDI В WEB WORKER =====
+//
+// Разбор больших файлов не блокирует вкладку; прогресс — через onProgress(0..1).
+// cancel() останавливает воркер, а промис load() отклоняется с error.cancelled = true.
+// Если воркер не запустился, промис отклоняется с error.workerFailed = true:
+// буфер в воркер передаётся копией, и файл можно разобрать в основном потоке.
+
+let moduleWorkers = null; // Поддержка { type: 'module' }, проверяется один раз
+
+export class MIDILoader {
+    constructor() {
+        this.worker = null;
+        this.reject = null;
+    }
+
+    static isSupported() {
+        if (typeof Worker === 'undefined') return false;
+        if (moduleWorkers === null) {
+            // Браузер без модульных воркеров не читает опцию type; сам воркер с таким адресом не создаётся
+            moduleWorkers = false;
+            try {
+                new Worker('blob://', { get type() { moduleWorkers = true; return 'module'; } }).terminate();
+            } catch (e) {
+                // Ожидаемо: адрес недействителен
+            }
+        }
+        return moduleWorkers;
+    }
+
+    load(arrayBuffer, onProgress) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('./midi-worker.js', import.meta.url), { type: 'module' });
+            } catch (e) {
+                // CSP, file:// и т. п.: конструктор бросает сразу
+                const error = new Error('Ошибка загрузки MIDI: ' + (e.message || 'Web Worker недоступен'));
+                error.workerFailed = true;
+                reject(error);
+                return;
+            }
+            this.worker = worker;
+            this.reject = reject;
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    // Разбор — 80% работы, построение модели нот — оставшиеся 20%
+                    const value = message.phase === 'parse' ? message.value * 0.8 : 0.8 + message.value * 0.2;
+                    if (onProgress) onProgress(value);
+                    return;
+                }
+
+                this.finish();
+                if (message.type === 'result') {
+                    resolve({
+                        fileData: message.fileData,
+                        warnings: message.warnings,
+                        song: Song.fromTransferable(message.song)
+                    });
+                } else {
+                    reject(new Error('Ошибка парсинга MIDI: ' + message.message));
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.finish();
+                const error = new Error('Ошибка загрузки MIDI: ' + (e.message || 'Web Worker недоступен'));
+                error.workerFailed = true;
+                reject(error);
+            };
+
+            // Копия: исходный буфер остаётся у вызывающего для разбора без воркера
+            const copy = arrayBuffer.slice(0);
+            worker.postMessage({ buffer: copy }, [copy]);
+        });
+    }
+
+    cancel() {
+        if (!this.worker) return;
+        const reject = this.reject;
+        this.finish();
+        const error = new Error('Загрузка отменена');
+        error.cancelled = true;
+        reject(error);
+    }
+
+    finish() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        this.reject = null;
+    }
+}
@@ -1,8 +1,67 @@
+import { identifySysEx } from './sysex.js';
+
 // ===== MIDI ПАРСЕР (УЛУЧШЕННЫЙ) =====
+
+// Текстовые мета-события (0x01-0x09) → тип события
+const TEXT_META_TYPES = {
+    0x01: 'text',
+    0x02: 'copyright',
+    0x03: 'trackName',
+    0x04: 'instrumentName',
+    0x05: 'lyrics',
+    0x06: 'marker',
+    0x07: 'cuePoint',
+    0x08: 'programName',
+    0x09: 'deviceName'
+};
+
+// MThd: идентификатор, длина, формат, число треков, деление времени
+const HEADER_SIZE = 14;
+
+// Как часто сообщать о прогрессе разбора (в байтах)
+const PROGRESS_STEP_BYTES = 64 * 1024;
+
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+// Название тональности по числу знаков (-7..7) и ладу (0 = мажор, 1 = минор)
+export function keySignatureName(key, scale) {
+    const names = scale === 1 ? MINOR_KEYS : MAJOR_KEYS;
+    const name = names[key + 7];
+    if (!name) return `${key} (${scale === 1 ? 'minor' : 'major'})`;
+    return `${name} ${scale === 1 ? 'minor' : 'major'}`;
+}
+
+// Текст в мета-событиях не имеет кодировки по стандарту:
+// пробуем UTF-8, иначе считаем, что это Windows-1251 (старые русские файлы)
+export function decodeText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return new TextDecoder('windows-1251').decode(bytes);
+    }
+}
+
+function sameBytes(a, b) {
+    return a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
 export class MIDIParser {
-    constructor(arrayBuffer) {
+    constructor(arrayBuffer, options = {}) {
         this.data = new DataView(arrayBuffer);
         this.pos = 0;
+        this.lenient = options.lenient || false; // Мягкий режим: восстановление вместо ошибки
+        this.warnings = [];
+        this.trackIndex = null;
+        this.onProgress = options.onProgress || null; // onProgress(доля 0..1 прочитанных байт)
+        this.nextProgressAt = 0;
+    }
+
+    // Разбор в мягком режиме: { song, warnings: [{ trackIndex, byteOffset, code, message }] }
+    static parseLenient(arrayBuffer, options = {}) {
+        const parser = new MIDIParser(arrayBuffer, { ...options, lenient: true });
+        const song = parser.parse();
+        return { song, warnings: parser.warnings };
     }
 
     readString(length) {
@@ -37,6 +96,20 @@ export class MIDIParser {
         return this.data.getUint8(this.pos++);
     }
 
+    readInt8() {
+        return this.data.getInt8(this.pos++);
+    }
+
+    readBytes(length) {
+        const bytes = new Uint8Array(this.data.buffer, this.data.byteOffset + this.pos, length).slice();
+        this.pos += length;
+        return bytes;
+    }
+
+    readText(length) {
+        return decodeText(this.readBytes(length));
+    }
+
     readVarLen() {
         let value = 0;
         let byte;
@@ -47,37 +120,140 @@ export class MIDIParser {
         return value;
     }
 
+    // Предупреждение о нарушении формата: { trackIndex, byteOffset, code, message }
+    warn(code, message, byteOffset = this.pos) {
+        this.warnings.push({ trackIndex: this.trackIndex, byteOffset, code, message });
+    }
+
+    // Ошибка формата: в строгом режиме — исключение, в мягком — предупреждение и восстановление
+    fail(code, message, byteOffset = this.pos) {
+        if (!this.lenient) {
+            throw new Error(message);
+        }
+        this.warn(code, message, byteOffset);
+    }
+
+    // Позиция ближайшего чанка с указанным идентификатором начиная с from, либо -1
+    findChunk(id, from) {
+        const end = this.data.byteLength - 4;
+        for (let i = Math.max(0, from); i <= end; i++) {
+            if (this.isChunkAt(id, i)) return i;
+        }
+        return -1;
+    }
+
+    isChunkAt(id, pos) {
+        if (pos < 0 || pos + 4 > this.data.byteLength) return false;
+        for (let i = 0; i < 4; i++) {
+            if (this.data.getUint8(pos + i) !== id.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
     parse() {
+        // .rmi: SMF внутри RIFF-контейнера RMID
+        const rmid = this.isChunkAt('RIFF', 0) ? this.unwrapRMID() : null;
+
+        // Без 14 байт заголовка нет ни формата, ни деления времени — восстановить нечего и в мягком режиме
+        if (this.data.byteLength < HEADER_SIZE) {
+            const error = new Error(this.data.byteLength === 0
+                ? 'Файл пуст'
+                : `Заголовок MIDI обрезан: ${this.data.byteLength} байт из ${HEADER_SIZE}`);
+            error.code = 'HEADER_TRUNCATED';
+            error.byteOffset = this.data.byteLength;
+            throw error;
+        }
+
         const header = this.readString(4);
         if (header !== 'MThd') {
             throw new Error('Неверный MIDI файл');
         }
 
         const headerLength = this.readUInt32();
+        if (headerLength < 6) {
+            this.fail('HEADER_LENGTH', `Неверная длина заголовка: ${headerLength}`, 4);
+        }
         const format = this.readUInt16();
         const trackCount = this.readUInt16();
         const timeDivision = this.readUInt16();
+        this.pos = 8 + Math.max(6, headerLength);
 
         let ticksPerBeat = timeDivision;
         let isSMPTE = false;
         let framesPerSecond = 0;
         let ticksPerFrame = 0;
+        let ticksPerSecond = 0;
+        let dropFrame = false;
 
         if (timeDivision & 0x8000) {
+            // Старший байт — отрицательный код SMPTE (-24, -25, -29, -30), младший — тиков на кадр.
+            // Тики SMPTE — абсолютное время, темп на них не влияет.
             isSMPTE = true;
-            framesPerSecond = -(timeDivision >> 8);
+            const smpteFormat = 256 - (timeDivision >> 8);
+            dropFrame = smpteFormat === 29;
+            framesPerSecond = dropFrame ? 30000 / 1001 : smpteFormat;
             ticksPerFrame = timeDivision & 0xFF;
-            ticksPerBeat = framesPerSecond * ticksPerFrame;
+            ticksPerSecond = framesPerSecond * ticksPerFrame;
+            // Эквивалент при темпе по умолчанию (120 BPM), чтобы ticksPerBeat оставался осмысленным
+            ticksPerBeat = ticksPerSecond / 2;
         }
 
         const tracks = [];
         const tempoMap = [];
+        const timeSignatureMap = [];
+        const keySignatureMap = [];
+        const maps = { tempoMap, timeSignatureMap, keySignatureMap };
+        // Формат 2: каждый трек — независимая последовательность со своим темпом
+        const sequences = format === 2 ? [] : null;
+
+        // Пустые чанки пропускаются: chunkIndex — номер MTrk в файле (он же trackIndex в предупреждениях)
+        const addTrack = (track, trackMaps) => {
+            if (track.events.length === 0) return;
+            track.chunkIndex = this.trackIndex;
+            tracks.push(track);
+            if (sequences) {
+                tempoMap.push(...trackMaps.tempoMap);
+                timeSignatureMap.push(...trackMaps.timeSignatureMap);
+                keySignatureMap.push(...trackMaps.keySignatureMap);
+                sequences.push({ index: sequences.length, name: track.name, tracks: [track], ...trackMaps });
+            }
+        };
+        const mapsForTrack = () => sequences
+            ? { tempoMap: [], timeSignatureMap: [], keySignatureMap: [] }
+            : maps;
 
         for (let i = 0; i < trackCount; i++) {
-            const track = this.parseTrack(tempoMap);
-            if (track.events.length > 0) {
-                tracks.push(track);
+            this.trackIndex = i;
+            if (!this.seekToTrackChunk()) {
+                this.fail('MISSING_TRACKS', `Ожидалось треков: ${trackCount}, найдено: ${i}`);
+                break;
             }
+            const trackMaps = mapsForTrack();
+            addTrack(this.parseTrack(trackMaps), trackMaps);
+        }
+
+        // Старые секвенсоры иногда пишут неверное число треков в заголовке
+        if (this.lenient) {
+            for (let i = trackCount; this.findChunk('MTrk', this.pos) >= 0; i++) {
+                this.trackIndex = i;
+                this.warn('EXTRA_TRACK', `Трек ${i + 1} не указан в заголовке (треков: ${trackCount})`, this.findChunk('MTrk', this.pos));
+                this.seekToTrackChunk();
+                const trackMaps = mapsForTrack();
+                addTrack(this.parseTrack(trackMaps), trackMaps);
+            }
+        }
+        this.trackIndex = null;
+
+        const byTime = (a, b) => a.time - b.time;
+        tempoMap.sort(byTime);
+        timeSignatureMap.sort(byTime);
+        keySignatureMap.sort(byTime);
+        if (sequences) {
+            sequences.forEach(sequence => {
+                sequence.tempoMap.sort(byTime);
+                sequence.timeSignatureMap.sort(byTime);
+                sequence.keySignatureMap.sort(byTime);
+            });
         }
 
         return { 
@@ -88,108 +264,426 @@ export class MIDIParser {
             isSMPTE,
             framesPerSecond,
             ticksPerFrame,
+            ticksPerSecond,
+            dropFrame,
             tempoMap,
-            tracks 
+            timeSignatureMap,
+            keySignatureMap,
+            tracks,
+            sequences,
+            rmid
+        };
+    }
+
+    // Разбирает RIFF RMID: находит чанк data с SMF и переключает парсер на него.
+    // Возвращает метаданные контейнера: { info, dls }
+    unwrapRMID() {
+        const view = this.data;
+        const riffSize = view.getUint32(4, true);
+        const formType = this.readStringAt(8, 4);
+        if (formType !== 'RMID') {
+            throw new Error(`Неподдерживаемый RIFF-файл: ${formType}`);
+        }
+
+        const riffEnd = Math.min(8 + riffSize, view.byteLength);
+        const info = {};
+        let dls = null;
+        let smf = null;
+        let pos = 12;
+
+        while (pos + 8 <= riffEnd) {
+            const id = this.readStringAt(pos, 4);
+            const size = view.getUint32(pos + 4, true);
+            const body = pos + 8;
+            const bodySize = Math.min(size, view.byteLength - body);
+
+            if (id === 'data') {
+                smf = { offset: body, length: bodySize };
+            } else if (id === 'LIST' && this.readStringAt(body, 4) === 'INFO') {
+                Object.assign(info, this.readRiffInfo(body + 4, body + bodySize));
+            } else if (id === 'RIFF' && this.readStringAt(body, 4) === 'DLS ') {
+                // Встроенный банк DLS: воспроизводить его не умеем, но сохраняем
+                dls = new Uint8Array(view.buffer, view.byteOffset + pos, bodySize + 8).slice();
+            }
+
+            pos = body + size + (size & 1); // чанки RIFF выровнены по 2 байта
+        }
+
+        if (!smf) {
+            throw new Error('В RMID-файле нет MIDI-данных (чанк data)');
+        }
+
+        this.data = new DataView(view.buffer, view.byteOffset + smf.offset, smf.length);
+        this.pos = 0;
+        return { info, dls, dataOffset: smf.offset };
+    }
+
+    // Подчанки LIST/INFO: INAM, ICOP, IART, ... — строки с завершающим нулём
+    readRiffInfo(start, end) {
+        const names = {
+            INAM: 'title',
+            ICOP: 'copyright',
+            IART: 'artist',
+            ICMT: 'comment',
+            ISBJ: 'subject',
+            ICRD: 'created',
+            IENG: 'engineer',
+            IGNR: 'genre',
+            IKEY: 'keywords',
+            ISFT: 'software'
         };
+        const info = {};
+        let pos = start;
+
+        while (pos + 8 <= end) {
+            const id = this.readStringAt(pos, 4);
+            const size = this.data.getUint32(pos + 4, true);
+            const length = Math.min(size, end - pos - 8);
+            const bytes = new Uint8Array(this.data.buffer, this.data.byteOffset + pos + 8, length);
+            const zero = bytes.indexOf(0);
+            const saved = this.pos;
+            this.pos = pos + 8;
+            const text = this.readText(zero >= 0 ? zero : length);
+            this.pos = saved;
+
+            info[names[id] || id] = text;
+            pos += 8 + size + (size & 1);
+        }
+        return info;
     }
 
-    parseTrack(tempoMap) {
+    readStringAt(pos, length) {
+        if (pos + length > this.data.byteLength) return '';
+        const saved = this.pos;
+        this.pos = pos;
+        const str = this.readString(length);
+        this.pos = saved;
+        return str;
+    }
+
+    // Переходит к следующему чанку MTrk, пропуская посторонние чанки и мусор.
+    // Возвращает false, если треков больше нет.
+    seekToTrackChunk() {
+        while (this.pos + 8 <= this.data.byteLength) {
+            const chunkStart = this.pos;
+            const id = this.readString(4);
+
+            if (id === 'MTrk') {
+                this.pos = chunkStart;
+                return true;
+            }
+
+            // Неизвестные чанки стандарт предписывает пропускать
+            if (/^[\x20-\x7E]{4}$/.test(id)) {
+                const length = this.readUInt32();
+                this.warn('UNKNOWN_CHUNK', `Пропущен неизвестный чанк "${id}" (${length} байт)`, chunkStart);
+                this.pos = Math.min(this.pos + length, this.data.byteLength);
+                continue;
+            }
+
+            this.fail('JUNK_DATA', 'Неверный трек', chunkStart);
+            const next = this.findChunk('MTrk', chunkStart + 1);
+            if (next < 0) {
+                this.pos = this.data.byteLength;
+                return false;
+            }
+            this.pos = next;
+            return true;
+        }
+        return false;
+    }
+
+    parseTrack({ tempoMap, timeSignatureMap, keySignatureMap }) {
+        const chunkStart = this.pos;
         const header = this.readString(4);
         if (header !== 'MTrk') {
             throw new Error('Неверный трек');
         }
 
         const trackLength = this.readUInt32();
-        const trackEnd = this.pos + trackLength;
+        let trackEnd = this.pos + trackLength;
+        if (trackEnd > this.data.byteLength) {
+            this.fail('TRACK_TRUNCATED',
+                `Трек обрезан: заявлено ${trackLength} байт, доступно ${this.data.byteLength - this.pos}`, chunkStart);
+            trackEnd = this.data.byteLength;
+        }
+
         const events = [];
+        let eventsAfterEnd = [];
         let runningStatus = 0;
         let absoluteTime = 0;
+        let trackName = null;
+        let afterMeta = false;
+        let endOfTrack = false;
 
-        while (this.pos < trackEnd) {
-            const deltaTime = this.readVarLen();
-            absoluteTime += deltaTime;
+        // Заявленная длина меньше реальной: события продолжаются после конца чанка.
+        // В мягком режиме сдвигаем конец трека до следующего MTrk (или конца файла).
+        const extendTrackEnd = () => {
+            if (!this.lenient || trackEnd >= this.data.byteLength || this.isChunkAt('MTrk', trackEnd)) {
+                return false;
+            }
+            const next = this.findChunk('MTrk', trackEnd);
+            const realEnd = next < 0 ? this.data.byteLength : next;
+            this.warn('TRACK_LENGTH_MISMATCH',
+                `Неверная длина трека: ${trackLength} байт, фактически ${realEnd - chunkStart - 8}`, chunkStart);
+            trackEnd = realEnd;
+            return true;
+        };
 
-            let status = this.data.getUint8(this.pos);
+        try {
+            while (true) {
+                if (this.pos >= trackEnd && !extendTrackEnd()) {
+                    break;
+                }
 
-            if (status < 0x80) {
-                status = runningStatus;
-            } else {
-                this.pos++;
-                if (status >= 0x80 && status < 0xF0) {
-                    runningStatus = status;
+                if (this.onProgress && this.pos >= this.nextProgressAt) {
+                    this.nextProgressAt = this.pos + PROGRESS_STEP_BYTES;
+                    this.onProgress(this.pos / this.data.byteLength);
                 }
-            }
 
-            const eventType = status >> 4;
-            const channel = status & 0x0F;
+                // Следующий трек начался без End of Track (заявленная длина больше реальной)
+                if (this.lenient && this.isChunkAt('MTrk', this.pos)) {
+                    this.warn('TRACK_LENGTH_MISMATCH',
+                        `Неверная длина трека: ${trackLength} байт, фактически ${this.pos - chunkStart - 8}`, chunkStart);
+                    trackEnd = this.pos;
+                    break;
+                }
+
+                const eventStart = this.pos;
+                const deltaTime = this.readVarLen();
+                absoluteTime += deltaTime;
+
+                let status = this.data.getUint8(this.pos);
 
-            if (eventType === 0x9) {
-                const note = this.readUInt8();
-                const velocity = this.readUInt8();
-                if (velocity > 0) {
-                    events.push({ type: 'noteOn', time: absoluteTime, note, velocity, channel });
+                if (status < 0x80) {
+                    if (runningStatus === 0) {
+                        this.fail('NO_RUNNING_STATUS',
+                            `Байт данных 0x${status.toString(16)} без статуса события`, this.pos);
+                        this.pos++;
+                        continue;
+                    }
+                    if (afterMeta) {
+                        this.warn('RUNNING_STATUS_AFTER_META',
+                            'Running status после мета-события или SysEx', eventStart);
+                    }
+                    status = runningStatus;
                 } else {
-                    events.push({ type: 'noteOff', time: absoluteTime, note, channel });
+                    this.pos++;
+                    if (status >= 0x80 && status < 0xF0) {
+                        runningStatus = status;
+                    }
                 }
-            }
-            else if (eventType === 0x8) {
-                const note = this.readUInt8();
-                const velocity = this.readUInt8();
-                events.push({ type: 'noteOff', time: absoluteTime, note, channel });
-            }
-            else if (eventType === 0xE) {
-                const lsb = this.readUInt8();
-                const msb = this.readUInt8();
-                const value = (msb << 7) | lsb;
-                events.push({ type: 'pitchBend', time: absoluteTime, value, channel });
-            }
-            else if (eventType === 0xC) {
-                const program = this.readUInt8();
-                events.push({ type: 'programChange', time: absoluteTime, program, channel });
-            }
-            else if (eventType === 0xB) {
-                const controller = this.readUInt8();
-                const value = this.readUInt8();
-                events.push({ type: 'controlChange', time: absoluteTime, controller, value, channel });
-            }
-            else if (eventType === 0xD) {
-                const pressure = this.readUInt8();
-                events.push({ type: 'channelPressure', time: absoluteTime, pressure, channel });
-            }
-            else if (eventType === 0xA) {
-                const note = this.readUInt8();
-                const pressure = this.readUInt8();
-                events.push({ type: 'polyPressure', time: absoluteTime, note, pressure, channel });
-            }
-            else if (status === 0xFF || status === 0xF0 || status === 0xF7) {
-                if (status === 0xFF) {
+                afterMeta = status >= 0xF0;
+
+                const eventType = status >> 4;
+                const channel = status & 0x0F;
+
+                if (eventType === 0x9) {
+                    const note = this.readUInt8();
+                    const velocity = this.readUInt8();
+                    if (velocity > 0) {
+                        events.push({ type: 'noteOn', time: absoluteTime, note, velocity, channel });
+                    } else {
+                        // noteOn с нулевой громкостью — тот же noteOff, флаг нужен для записи без потерь
+                        events.push({ type: 'noteOff', time: absoluteTime, note, velocity, channel, zeroVelocityNoteOn: true });
+                    }
+                }
+                else if (eventType === 0x8) {
+                    const note = this.readUInt8();
+                    const velocity = this.readUInt8();
+                    events.push({ type: 'noteOff', time: absoluteTime, note, velocity, channel });
+                }
+                else if (eventType === 0xE) {
+                    const lsb = this.readUInt8();
+                    const msb = this.readUInt8();
+                    const value = (msb << 7) | lsb;
+                    events.push({ type: 'pitchBend', time: absoluteTime, value, channel });
+                }
+                else if (eventType === 0xC) {
+                    const program = this.readUInt8();
+                    events.push({ type: 'programChange', time: absoluteTime, program, channel });
+                }
+                else if (eventType === 0xB) {
+                    const controller = this.readUInt8();
+                    const value = this.readUInt8();
+                    events.push({ type: 'controlChange', time: absoluteTime, controller, value, channel });
+                }
+                else if (eventType === 0xD) {
+                    const pressure = this.readUInt8();
+                    events.push({ type: 'channelPressure', time: absoluteTime, pressure, channel });
+                }
+                else if (eventType === 0xA) {
+                    const note = this.readUInt8();
+                    const pressure = this.readUInt8();
+                    events.push({ type: 'polyPressure', time: absoluteTime, note, pressure, channel });
+                }
+                else if (status === 0xFF) {
                     const metaType = this.readUInt8();
-                    const length = this.readVarLen();
-                    
-                    if (metaType === 0x51 && length === 3) {
-                        const microsecondsPerBeat = this.readUInt24();
-                        const bpm = 60000000 / microsecondsPerBeat;
+                    let length = this.readVarLen();
+                    if (this.pos + length > trackEnd) {
+                        extendTrackEnd();
+                    }
+                    if (this.pos + length > trackEnd) {
+                        this.fail('META_TRUNCATED',
+                            `Мета-событие 0x${metaType.toString(16)} выходит за границу трека`, eventStart);
+                        length = trackEnd - this.pos;
+                    }
+                    const metaEnd = this.pos + length;
+                    const event = this.parseMetaEvent(metaType, length, absoluteTime);
+
+                    if (event.type === 'tempo') {
                         tempoMap.push({
                             time: absoluteTime,
-                            microsecondsPerBeat,
-                            bpm
+                            microsecondsPerBeat: event.microsecondsPerBeat,
+                            bpm: event.bpm
                         });
-                        events.push({ 
-                            type: 'tempo', 
-                            time: absoluteTime, 
-                            microsecondsPerBeat,
-                            bpm
+                    } else if (event.type === 'timeSignature') {
+                        timeSignatureMap.push({
+                            time: absoluteTime,
+                            numerator: event.numerator,
+                            denominator: event.denominator
                         });
-                    } else {
-                        this.pos += length;
+                    } else if (event.type === 'keySignature') {
+                        keySignatureMap.push({
+                            time: absoluteTime,
+                            key: event.key,
+                            scale: event.scale,
+                            name: event.name
+                        });
+                    } else if (event.type === 'trackName' && trackName === null) {
+                        trackName = event.text;
                     }
-                } else {
+
+                    events.push(event);
+                    this.pos = metaEnd;
+
+                    if (event.type === 'endOfTrack') {
+                        endOfTrack = true;
+                        break;
+                    }
+                }
+                else if (status === 0xF0 || status === 0xF7) {
                     const length = this.readVarLen();
-                    this.pos += length;
+                    const data = this.readBytes(length);
+                    // 0xF7 — продолжение разбитого SysEx или «escape» с произвольными байтами
+                    const message = status === 0xF0 ? identifySysEx(data) : null;
+                    events.push({ type: 'sysex', time: absoluteTime, status, data, message });
                 }
+                else {
+                    // Системные сообщения реального времени/общие не должны встречаться в SMF
+                    this.warn('UNEXPECTED_STATUS',
+                        `Недопустимый статус 0x${status.toString(16)} в треке`, eventStart);
+                    this.pos += status === 0xF2 ? 2 : (status === 0xF1 || status === 0xF3 ? 1 : 0);
+                }
+            }
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            this.fail('TRUNCATED_EVENT', 'Трек обрывается посреди события', this.pos);
+        }
+
+        if (!endOfTrack) {
+            this.warn('MISSING_END_OF_TRACK', 'Трек не завершён событием End of Track', chunkStart);
+        } else if (this.pos < trackEnd) {
+            // Заявленная длина больше реальной: следующий трек начинается раньше
+            const next = this.lenient ? this.findChunk('MTrk', this.pos) : -1;
+            if (next >= 0 && next < trackEnd) {
+                this.warn('TRACK_LENGTH_MISMATCH',
+                    `Неверная длина трека: ${trackLength} байт, фактически ${next - chunkStart - 8}`, chunkStart);
+                trackEnd = next;
+            } else {
+                this.warn('DATA_AFTER_END_OF_TRACK',
+                    `${trackEnd - this.pos} байт после End of Track`, this.pos);
+                eventsAfterEnd = this.parseTrailingEvents(this.pos, trackEnd, absoluteTime);
             }
         }
 
-        return { events };
+        this.pos = Math.min(trackEnd, this.data.byteLength);
+        return { name: trackName, events, eventsAfterEnd };
+    }
+
+    // События между End of Track и концом чанка: не воспроизводятся, но сохраняются
+    // для проверки файла. Разбираются отдельным мягким парсером, его предупреждения не нужны.
+    parseTrailingEvents(start, end, startTime) {
+        const chunk = new Uint8Array(8 + end - start);
+        chunk.set([0x4D, 0x54, 0x72, 0x6B]); // 'MTrk'
+        new DataView(chunk.buffer).setUint32(4, end - start);
+        chunk.set(new Uint8Array(this.data.buffer, this.data.byteOffset + start, end - start), 8);
+
+        const parser = new MIDIParser(chunk.buffer, { lenient: true });
+        const { events } = parser.parseTrack({ tempoMap: [], timeSignatureMap: [], keySignatureMap: [] });
+        return events.map(event => ({ ...event, time: event.time + startTime }));
+    }
+
+    parseMetaEvent(metaType, length, time) {
+        if (TEXT_META_TYPES[metaType]) {
+            const data = this.readBytes(length);
+            const event = { type: TEXT_META_TYPES[metaType], time, text: decodeText(data) };
+            // Текст не в UTF-8 (Windows-1251 в .kar, BOM): исходные байты нужны для записи без перекодирования
+            if (!sameBytes(new TextEncoder().encode(event.text), data)) event.data = data;
+            return event;
+        }
+
+        switch (metaType) {
+            case 0x00:
+                if (length >= 2) {
+                    return { type: 'sequenceNumber', time, number: this.readUInt16() };
+                }
+                break;
+            case 0x20:
+                if (length >= 1) {
+                    return { type: 'channelPrefix', time, channel: this.readUInt8() & 0x0F };
+                }
+                break;
+            case 0x21:
+                if (length >= 1) {
+                    return { type: 'midiPort', time, port: this.readUInt8() };
+                }
+                break;
+            case 0x2F:
+                return { type: 'endOfTrack', time };
+            case 0x51:
+                if (length === 3) {
+                    const microsecondsPerBeat = this.readUInt24();
+                    const bpm = 60000000 / microsecondsPerBeat;
+                    return { type: 'tempo', time, microsecondsPerBeat, bpm };
+                }
+                break;
+            case 0x54:
+                if (length >= 5) {
+                    const hourByte = this.readUInt8();
+                    return {
+                        type: 'smpteOffset',
+                        time,
+                        frameRate: [24, 25, 29.97, 30][(hourByte >> 5) & 0x03],
+                        hours: hourByte & 0x1F,
+                        minutes: this.readUInt8(),
+                        seconds: this.readUInt8(),
+                        frames: this.readUInt8(),
+                        subFrames: this.readUInt8()
+                    };
+                }
+                break;
+            case 0x58:
+                if (length >= 4) {
+                    const numerator = this.readUInt8();
+                    const denominator = Math.pow(2, this.readUInt8());
+                    const metronome = this.readUInt8();
+                    const thirtySeconds = this.readUInt8();
+                    return { type: 'timeSignature', time, numerator, denominator, metronome, thirtySeconds };
+                }
+                break;
+            case 0x59:
+                if (length >= 2) {
+                    const key = this.readInt8();
+                    const scale = this.readUInt8();
+                    return { type: 'keySignature', time, key, scale, name: keySignatureName(key, scale) };
+                }
+                break;
+            case 0x7F:
+                return { type: 'sequencerSpecific', time, data: this.readBytes(length) };
+        }
+
+        // Неизвестное или некорректное мета-событие сохраняем как есть
+        return { type: 'meta', time, metaType, data: this.readBytes(length) };
     }
 }
\ No newline at end of file
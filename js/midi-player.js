@@ -1,19 +1,55 @@
 import { MIDIParser } from './midi-parser.js';
+import { createSysExState, applySysEx } from './sysex.js';
+import { Song } from './song.js';
+import { MusicXMLWriter } from './musicxml-writer.js';
+import { ChannelMixer } from './channel-mixer.js';
+import { ChannelControls } from './channel-controls.js';
+
+// Планировщик: ноты ставятся в очередь WebAudioFont по часам AudioContext на короткое окно вперёд.
+// Фоновые вкладки вызывают таймеры не чаще раза в секунду — тогда окно шире
+const SCHEDULE_AHEAD_SECONDS = 0.2;
+const HIDDEN_SCHEDULE_AHEAD_SECONDS = 1.5;
+const SCHEDULER_INTERVAL_MS = 25;
+const START_DELAY_SECONDS = 0.05; // Запас, чтобы первые ноты не опоздали
+
+// Индекс первой ноты, начинающейся не раньше time (ноты отсортированы по началу)
+function firstNoteAt(notes, time) {
+    let low = 0;
+    let high = notes.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (notes[mid].startTime < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
 
 export class MIDIPlayer {
     constructor(visualizer) {
         this.midiData = null;
+        this.fileData = null; // Весь разобранный файл; midiData — выбранная последовательность (формат 2)
+        this.sequenceIndex = 0;
+        this.song = null; // Нормализованная модель (ноты в тиках и секундах) для воспроизведения и экспорта
+        this.controls = null; // Контроллеры каналов песни: громкость, панорама, педали, pitch bend
+        this.songInstruments = null; // Инструменты, которыми звучат ноты песни (считаются при первом запуске)
+        this.warnings = []; // Предупреждения парсера для последнего загруженного файла
         this.isPlaying = false;
         this.isPaused = false;
-        this.currentTime = 0;
+        this.starting = null; // Запуск, ожидающий загрузки шрифтов: пауза и стоп в это время его отменяют
+        this.position = 0; // Позиция вне воспроизведения; во время игры currentTime считается по часам AudioContext
         this.duration = 0;
-        this.scheduledEvents = [];
+        this.scheduledEvents = new Set(); // Таймеры подсветки нот в визуализаторе (только в окне планировщика)
+        this.schedule = null; // Позиция планировщика: { songStart, audioStart, tempoFactor, noteIndex, eventIndex, controlTime }
+        this.schedulerTimer = null;
+        this.queuedNotes = []; // Поставленные в очередь ноты: { startAt, endAt, index, envelope }
         this.audioContext = null;
         this.volume = 30;
         this.tempo = 100;
         this.waveType = 'piano';
         this.visualizer = visualizer;
-        this.updateInterval = null;
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.isRecording = false;
@@ -27,15 +63,20 @@ export class MIDIPlayer {
             this.player = null;
         }
         this.instruments = {}; // Кэш: {program: font}
-        this.channelPrograms = new Array(16).fill(0); // Program по каналам (GM)
         this.loadingFonts = new Set(); // Предотвращает дубли загрузки
         this.loadingPromises = new Map(); // Stores loading promises for concurrent requests
+        this.sysexState = createSysExState(); // GM/GS/XG: ударные каналы, общая громкость
+        this.mixer = new ChannelMixer(); // Громкость, панорама, mute/solo по каналам — и вживую, и в WAV
     }
 
     async init() {
         if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         }
+        if (!this.mixer.graph) {
+            const graph = this.mixer.createGraph(this.audioContext, this.audioContext.destination, true);
+            graph.master.gain.value = this.volume / 100;
+        }
         if (this.audioContext.state === 'suspended') {
             await this.audioContext.resume();
         }
@@ -47,152 +88,250 @@ export class MIDIPlayer {
 
     loadMIDI(arrayBuffer) {
         try {
-            const parser = new MIDIParser(arrayBuffer);
-            this.midiData = parser.parse();
-            this.calculateDuration();
-            return this.midiData;
+            // Мягкий режим: файлы старых секвенсоров загружаются, а нарушения попадают в warnings
+            const { song, warnings } = MIDIParser.parseLenient(arrayBuffer);
+            return this.loadParsed(song, warnings);
         } catch (error) {
             throw new Error('Ошибка парсинга MIDI: ' + error.message);
         }
     }
 
-    calculateDuration() {
-        if (!this.midiData) return;
-
-        let maxTime = 0;
-        const ticksPerBeat = this.midiData.ticksPerBeat;
-        
-        let currentTempo = 500000;
-        const tempoChanges = [];
-
-        this.midiData.tracks.forEach(track => {
-            track.events.forEach(event => {
-                if (event.type === 'tempo') {
-                    tempoChanges.push({
-                        tick: event.time,
-                        microsecondsPerBeat: event.microsecondsPerBeat
-                    });
-                }
-            });
-        });
-
-        tempoChanges.sort((a, b) => a.tick - b.tick);
-
-        this.midiData.tracks.forEach(track => {
-            track.events.forEach(event => {
-                const time = this.ticksToSeconds(event.time, ticksPerBeat, tempoChanges);
-                if (time > maxTime) {
-                    maxTime = time;
-                }
-            });
-        });
-
-        this.duration = maxTime;
+    // Результат разбора, полученный в другом месте (например, из MIDILoader в Web Worker).
+    // song — готовая модель для первой последовательности, если она уже построена
+    loadParsed(fileData, warnings, song = null) {
+        this.fileData = fileData;
+        this.warnings = warnings;
+        warnings.forEach(w => console.warn(`MIDI [трек ${w.trackIndex ?? '-'}, байт ${w.byteOffset}] ${w.code}: ${w.message}`));
+        this.selectSequence(0, song);
+        return this.midiData;
     }
 
-    ticksToSeconds(ticks, ticksPerBeat, tempoChanges) {
-        let seconds = 0;
-        let currentTick = 0;
-        let currentTempo = 500000;
-
-        for (let i = 0; i < tempoChanges.length; i++) {
-            const change = tempoChanges[i];
-            if (change.tick >= ticks) break;
+    // Формат 2: выбор независимой последовательности для воспроизведения
+    selectSequence(index, song = null) {
+        if (!this.fileData) return;
+
+        const sequences = this.fileData.sequences;
+        if (sequences && sequences.length > 0) {
+            const sequence = sequences[Math.max(0, Math.min(index, sequences.length - 1))];
+            this.sequenceIndex = sequence.index;
+            this.midiData = {
+                ...this.fileData,
+                tracks: sequence.tracks,
+                tempoMap: sequence.tempoMap,
+                timeSignatureMap: sequence.timeSignatureMap,
+                keySignatureMap: sequence.keySignatureMap
+            };
+        } else {
+            this.sequenceIndex = 0;
+            this.midiData = this.fileData;
+        }
 
-            const deltaTicks = change.tick - currentTick;
-            seconds += (deltaTicks / ticksPerBeat) * (currentTempo / 1000000);
-            
-            currentTick = change.tick;
-            currentTempo = change.microsecondsPerBeat;
+        if (this.isPlaying || this.isPaused || this.starting) {
+            this.stop();
         }
+        this.currentTime = 0;
+        this.song = song || new Song(this.midiData);
+        this.controls = new ChannelControls(this.song);
+        this.songInstruments = null;
+        this.calculateDuration();
+    }
+
+    calculateDuration() {
+        if (!this.song) return;
+        this.duration = this.song.duration;
+    }
 
-        const deltaTicks = ticks - currentTick;
-        seconds += (deltaTicks / ticksPerBeat) * (currentTempo / 1000000);
+    // Позиция в песне (секунды при темпе 100%): во время игры — по часам AudioContext
+    get currentTime() {
+        const schedule = this.schedule;
+        if (!this.isPlaying || !schedule) return this.position;
+        const elapsed = Math.max(0, this.audioContext.currentTime - schedule.audioStart);
+        return Math.min(this.duration, schedule.songStart + elapsed * schedule.tempoFactor);
+    }
 
-        return seconds;
+    set currentTime(time) {
+        this.position = time;
     }
 
     async play(startTime = 0) {
-        if (!this.midiData) return;
+        if (!this.midiData || this.isPlaying || this.starting) return;
+        const starting = this.starting = {};
+
+        try {
+            await this.init();
+
+            // Preload instruments before playing
+            console.log('Preloading instruments before playback...');
+            await this.preloadInstrumentsFromMIDI();
+        } finally {
+            if (this.starting === starting) this.starting = null;
+        }
+        // Пока загружались шрифты, нажали паузу или стоп, либо загрузили другой файл
+        if (starting.cancelled) return;
 
-        await this.init();
-        
-        // Preload instruments before playing
-        console.log('Preloading instruments before playback...');
-        await this.preloadInstrumentsFromMIDI();
-        
         this.isPlaying = true;
         this.isPaused = false;
         this.currentTime = startTime;
         this.visualizer.start();
 
         this.scheduleNotes(startTime);
-        this.startTimeUpdate();
     }
 
+    // startTime — позиция в песне (секунды при темпе 100%), время звучания пересчитывается ползунком темпа
     scheduleNotes(startTime) {
-        const ticksPerBeat = this.midiData.ticksPerBeat;
-        const tempoChanges = [];
-
-        this.midiData.tracks.forEach(track => {
-            track.events.forEach(event => {
-                if (event.type === 'tempo') {
-                    tempoChanges.push({
-                        tick: event.time,
-                        microsecondsPerBeat: event.microsecondsPerBeat
-                    });
-                }
-            });
+        const tempoFactor = this.tempo / 100;
+        const events = this.song.events;
+
+        this.sysexState = createSysExState();
+
+        // SysEx до точки старта (сбросы GS/XG, назначение ударных) применяем сразу
+        let eventIndex = 0;
+        while (eventIndex < events.length && events[eventIndex].seconds <= startTime) {
+            this.applyScheduledEvent(events[eventIndex]);
+            eventIndex++;
+        }
+
+        this.schedule = {
+            songStart: startTime,
+            audioStart: this.audioContext.currentTime + START_DELAY_SECONDS,
+            tempoFactor,
+            noteIndex: firstNoteAt(this.song.notes, startTime),
+            eventIndex,
+            controlTime: startTime // До этого момента песни контроллеры каналов уже запланированы
+        };
+        this.controls.resetChannels(this.mixer.graph, startTime, this.schedule.audioStart);
+
+        // Ноты, которые звучали в точке старта (продолжение после паузы, перемотка, педаль), берутся заново на остаток
+        for (let i = 0; i < this.schedule.noteIndex; i++) {
+            if (this.controls.noteEnds[i] > startTime) {
+                this.queueNote(i, startTime, true);
+            }
+        }
+
+        this.scheduleAhead();
+        if (this.schedulerTimer) clearInterval(this.schedulerTimer);
+        this.schedulerTimer = setInterval(() => this.scheduleAhead(), SCHEDULER_INTERVAL_MS);
+    }
+
+    // Время AudioContext для момента песни
+    audioTimeOf(songTime) {
+        const schedule = this.schedule;
+        return schedule.audioStart + (songTime - schedule.songStart) / schedule.tempoFactor;
+    }
+
+    // Очередная порция: всё, что начинается до конца окна. События и ноты — в порядке времени,
+    // чтобы SysEx (назначение ударных, громкость) действовал на ноты после него
+    scheduleAhead() {
+        const schedule = this.schedule;
+        if (!this.isPlaying || !schedule) return;
+
+        if (this.currentTime >= this.duration) {
+            this.stop();
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        this.queuedNotes = this.queuedNotes.filter(entry => entry.endAt > now);
+
+        const ahead = typeof document !== 'undefined' && document.hidden
+            ? HIDDEN_SCHEDULE_AHEAD_SECONDS
+            : SCHEDULE_AHEAD_SECONDS;
+        const horizon = schedule.songStart +
+            (this.audioContext.currentTime + ahead - schedule.audioStart) * schedule.tempoFactor;
+        const { notes, events } = this.song;
+
+        if (horizon > schedule.controlTime) {
+            this.controls.scheduleChannels(this.mixer.graph, schedule.controlTime, horizon, time => this.audioTimeOf(time));
+            schedule.controlTime = horizon;
+        }
+
+        while (schedule.noteIndex < notes.length && notes[schedule.noteIndex].startTime < horizon) {
+            const note = notes[schedule.noteIndex++];
+            while (schedule.eventIndex < events.length && events[schedule.eventIndex].seconds <= note.startTime) {
+                this.applyScheduledEvent(events[schedule.eventIndex++]);
+            }
+            this.queueNote(schedule.noteIndex - 1, note.startTime, false);
+        }
+        while (schedule.eventIndex < events.length && events[schedule.eventIndex].seconds < horizon) {
+            this.applyScheduledEvent(events[schedule.eventIndex++]);
+        }
+    }
+
+    // index — номер ноты в песне, from — момент песни, с которого она звучит; конец и громкость — с учётом педалей.
+    // retrigger — нота взята заново на остаток: такие не возвращаются в планировщик при смене темпа
+    queueNote(index, from, retrigger) {
+        const note = this.song.notes[index];
+        const end = this.controls.noteEnds[index];
+        const { audioStart, songStart, tempoFactor } = this.schedule;
+        const toAudioTime = time => audioStart + (time - songStart) / tempoFactor;
+        const startAt = toAudioTime(from);
+        const duration = (end - from) / tempoFactor;
+
+        const entry = { startAt, endAt: startAt + duration, index: retrigger ? null : index, envelope: null, cancelled: false };
+        this.queuedNotes.push(entry);
+        const program = this.instrumentFor(index, this.sysexState);
+        this.playNote(note.note, this.controls.noteVelocities[index], duration, note.channel, program, startAt).then(envelope => {
+            entry.envelope = envelope;
+            if (entry.cancelled && envelope) {
+                envelope.cancel();
+            } else if (envelope) {
+                // Pitch bend и вибрато канала на время звучания ноты
+                this.controls.applyToNote(this.audioContext, envelope, note.channel, from, end, toAudioTime);
+            }
         });
+    }
 
-        tempoChanges.sort((a, b) => a.tick - b.tick);
-
-        const noteMap = new Map();
-
-        this.midiData.tracks.forEach(track => {
-            track.events.forEach(event => {
-                const eventTime = this.ticksToSeconds(event.time, ticksPerBeat, tempoChanges);
-                const adjustedTime = eventTime / (this.tempo / 100);
-
-                if (adjustedTime < startTime) return;
-
-                if (event.type === 'programChange') {
-                    this.channelPrograms[event.channel] = event.program;
-                    // For channel 9 (drums), load special drums instrument
-                    const programToLoad = event.channel === 9 ? 128 : event.program;
-                    this.loadInstrument(programToLoad); // Ленивая загрузка
-                } else if (event.type === 'noteOn') {
-                    noteMap.set(event.note + '_' + event.channel, {
-                        note: event.note,
-                        velocity: event.velocity,
-                        startTime: adjustedTime,
-                        channel: event.channel
-                    });
-                } else if (event.type === 'noteOff') {
-                    const noteOn = noteMap.get(event.note + '_' + event.channel);
-                    if (noteOn) {
-                        const duration = adjustedTime - noteOn.startTime;
-                        const delay = (noteOn.startTime - startTime) * 1000;
-
-                        const timeoutId = setTimeout(() => {
-                            if (this.isPlaying) {
-                                this.playNote(noteOn.note, noteOn.velocity, duration, noteOn.channel);
-                            }
-                        }, delay);
-
-                        this.scheduledEvents.push(timeoutId);
-                        noteMap.delete(event.note + '_' + event.channel);
-                    }
-                }
-            });
+    // Снимает ноты, которые ещё не начали звучать, и возвращает планировщик к первой из них
+    cancelPendingNotes() {
+        const now = this.audioContext.currentTime;
+        let firstIndex = null;
+        this.queuedNotes = this.queuedNotes.filter(entry => {
+            if (entry.startAt <= now || entry.index === null) return true;
+            entry.cancelled = true;
+            if (entry.envelope) entry.envelope.cancel();
+            if (firstIndex === null || entry.index < firstIndex) firstIndex = entry.index;
+            return false;
         });
+        if (firstIndex !== null) this.schedule.noteIndex = Math.min(this.schedule.noteIndex, firstIndex);
+        // Подсветка снятых нот ещё не показана
+        this.scheduledEvents.forEach(id => clearTimeout(id));
+        this.scheduledEvents.clear();
     }
 
-    async playNote(note, velocity, duration, channel) {
-        if (!this.audioContext) return;
+    applyScheduledEvent(event) {
+        if (event.type === 'sysex' && event.message) {
+            applySysEx(this.sysexState, event.message);
+        }
+    }
+
+    // Таймер, который снимается при паузе и остановке; после срабатывания не хранится
+    later(callback, delay) {
+        const timeoutId = setTimeout(() => {
+            this.scheduledEvents.delete(timeoutId);
+            callback();
+        }, delay);
+        this.scheduledEvents.add(timeoutId);
+    }
 
-        // Channel 9 is drums in MIDI standard
-        const program = channel === 9 ? 128 : (this.channelPrograms[channel] || 0);
+    // В XG и GM2 ударный набор выбирается банком (XG: MSB 126/127, GM2: MSB 120),
+    // в GM и GS и без выбора банка — назначением канала (канал 10 или SysEx)
+    isDrumChannel(channel, state = this.sysexState, bankMSB = null) {
+        if (bankMSB !== null && state.mode === 'xg') return bankMSB >= 126;
+        if (bankMSB !== null && state.mode === 'gm2') return bankMSB === 120;
+        return state.drumChannels.has(channel);
+    }
+
+    // Инструмент ноты по номеру в песне: program и банк на момент её начала, 128 — ударные.
+    // В таблице шрифтов по одному тембру на program, вариации банков звучат основным тембром (как в GS)
+    instrumentFor(index, state) {
+        const channel = this.song.notes[index].channel;
+        const patch = this.controls.notePatches[index];
+        return this.isDrumChannel(channel, state, patch.bankMSB) ? 128 : patch.program;
+    }
+
+    // program — инструмент (см. instrumentFor), when — время AudioContext начала ноты (по умолчанию — сейчас)
+    async playNote(note, velocity, duration, channel, program, when = null) {
+        if (!this.audioContext) return;
         
         // Ensure instrument is loaded (should be preloaded, but fallback just in case)
         if (!this.instruments[program]) {
@@ -210,39 +349,33 @@ export class MIDIPlayer {
         
         if (!finalInstrument || !this.player) {
             console.warn(`No instrument available for program ${program}, skipping note`);
-            return;
+            return null;
         }
 
         const now = this.audioContext.currentTime;
-        const volume = (velocity / 127) * (this.volume / 100);
+        const startAt = Math.max(when ?? now, now);
+        const volume = (velocity / 127) * this.sysexState.masterVolume;
 
-        // Create a gain node for proper routing
-        const noteGain = this.audioContext.createGain();
-        noteGain.gain.value = 1;
-        
-        // Connect to both destination and recording if active
-        noteGain.connect(this.audioContext.destination);
-        if (this.mediaRecorder && this.isRecording && this.recordingDestination) {
-            noteGain.connect(this.recordingDestination);
-        }
-
-        // Play the note through WebAudioFont
-        this.player.queueWaveTable(
+        // Play the note through WebAudioFont into its mixer channel (общая громкость — на шине микшера)
+        const envelope = this.player.queueWaveTable(
             this.audioContext,
-            noteGain,
+            this.mixer.input(this.mixer.graph, channel),
             finalInstrument,
-            now,
+            startAt,
             note,
             duration,
             volume
         );
 
-        // Pass note to visualizer
-        this.visualizer.addNote(note, velocity);
+        // Pass note to visualizer when it actually starts sounding
+        this.later(() => {
+            this.visualizer.addNote(note, velocity);
+            setTimeout(() => {
+                this.visualizer.removeNote(note);
+            }, duration * 1000);
+        }, (startAt - now) * 1000);
 
-        setTimeout(() => {
-            this.visualizer.removeNote(note);
-        }, duration * 1000);
+        return envelope;
     }
 
     async loadInstrument(program) {
@@ -339,23 +472,21 @@ export class MIDIPlayer {
     async preloadInstrumentsFromMIDI() {
         if (!this.midiData) return;
         
-        const programsToLoad = new Set();
-        
-        // Collect all program changes and channel usage
-        this.midiData.tracks.forEach(track => {
-            track.events.forEach(event => {
-                if (event.type === 'programChange') {
-                    // For channel 9 (drums), load special drums instrument
-                    const program = event.channel === 9 ? 128 : event.program;
-                    programsToLoad.add(program);
-                } else if (event.type === 'noteOn' && event.channel === 9) {
-                    // If channel 9 has notes but no program change, ensure drums are loaded
-                    programsToLoad.add(128);
-                }
+        // Ровно те инструменты, которыми звучат ноты (program, банк и ударные — на момент каждой ноты).
+        // Ноты и SysEx отсортированы по времени — проходим их вместе; пауза и повторный запуск берут готовый набор
+        if (!this.songInstruments) {
+            const programs = new Set();
+            const timeline = this.song.sysexTimeline;
+            let sysexIndex = 0;
+            this.song.notes.forEach((note, index) => {
+                while (sysexIndex + 1 < timeline.length && timeline[sysexIndex + 1].time <= note.startTime) sysexIndex++;
+                programs.add(this.instrumentFor(index, timeline[sysexIndex].state));
             });
-        });
-        
-        // If no program changes found, default to piano
+            this.songInstruments = programs;
+        }
+        const programsToLoad = new Set(this.songInstruments);
+
+        // If the song has no notes, default to piano
         if (programsToLoad.size === 0) {
             programsToLoad.add(0);
         }
@@ -371,86 +502,115 @@ export class MIDIPlayer {
     }
 
     pause() {
+        if (this.starting) {
+            this.cancelStart();
+            this.isPaused = true;
+            return;
+        }
+        if (!this.isPlaying) return;
+        this.position = this.currentTime;
         this.isPlaying = false;
         this.isPaused = true;
         this.clearScheduledEvents();
-        this.stopTimeUpdate();
     }
 
     stop() {
+        this.cancelStart();
         this.isPlaying = false;
         this.isPaused = false;
         this.currentTime = 0;
         this.clearScheduledEvents();
-        this.stopTimeUpdate();
         this.visualizer.stop();
     }
 
-    clearScheduledEvents() {
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
-    }
-
-    startTimeUpdate() {
-        const startTime = Date.now();
-        const initialTime = this.currentTime;
-
-        this.updateInterval = setInterval(() => {
-            if (this.isPlaying) {
-                const elapsed = (Date.now() - startTime) / 1000;
-                this.currentTime = initialTime + elapsed * (this.tempo / 100);
-
-                if (this.currentTime >= this.duration) {
-                    this.stop();
-                }
-            }
-        }, 100);
+    cancelStart() {
+        if (!this.starting) return;
+        this.starting.cancelled = true;
+        this.starting = null;
     }
 
-    stopTimeUpdate() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+    clearScheduledEvents() {
+        if (this.schedulerTimer) {
+            clearInterval(this.schedulerTimer);
+            this.schedulerTimer = null;
+        }
+        this.schedule = null;
+        this.queuedNotes = [];
+        this.scheduledEvents.forEach(id => clearTimeout(id));
+        this.scheduledEvents.clear();
+        // Ноты, уже поставленные в очередь WebAudioFont на окно вперёд, снимаем
+        if (this.player && this.audioContext) {
+            this.player.cancelQueue(this.audioContext);
         }
     }
 
     setVolume(volume) {
         this.volume = volume;
+        const graph = this.mixer.graph;
+        if (graph) {
+            graph.master.gain.setTargetAtTime(volume / 100, graph.context.currentTime, 0.02);
+        }
     }
 
+    // Темп меняется на ходу: отсчёт переносится в текущий момент, ещё не зазвучавшие ноты
+    // ставятся в очередь заново, звучащие доигрывают
     setTempo(tempo) {
-        const wasPlaying = this.isPlaying;
-        const currentTime = this.currentTime;
-
-        if (wasPlaying) {
-            this.stop();
+        const schedule = this.schedule;
+        if (this.isPlaying && schedule) {
+            const position = this.currentTime;
+            this.cancelPendingNotes();
+            schedule.audioStart = Math.max(this.audioContext.currentTime, schedule.audioStart);
+            schedule.songStart = position;
+            schedule.tempoFactor = tempo / 100;
+            // Громкость и панорама каналов, запланированные в старом темпе, ставятся заново
+            this.controls.resetChannels(this.mixer.graph, position, schedule.audioStart);
+            schedule.controlTime = position;
         }
-
         this.tempo = tempo;
-
-        if (wasPlaying) {
-            this.play(currentTime);
-        }
+        if (this.isPlaying && schedule) this.scheduleAhead();
     }
 
     setWaveType(type) {
         this.waveType = type;
     }
 
+    // Музыкальная позиция текущего момента: { bar, beat, tick, numerator, denominator }
+    getBarBeat(time = this.currentTime) {
+        if (!this.song) return null;
+        const tempoMap = this.song.tempoMap;
+        return tempoMap.ticksToBarBeat(Math.round(tempoMap.secondsToTicks(time)));
+    }
+
+    // Число тактов в песне
+    getBarCount() {
+        if (!this.song) return 0;
+        const lastTick = Math.max(0, Math.round(this.song.lastTick) - 1);
+        return this.song.tempoMap.ticksToBarBeat(lastTick).bar;
+    }
+
+    seekToBar(bar, beat = 1) {
+        if (!this.song) return;
+        const tempoMap = this.song.tempoMap;
+        const time = tempoMap.ticksToSeconds(tempoMap.barBeatToTicks(bar, beat));
+        this.seek(Math.max(0, Math.min(time, this.duration)));
+    }
+
+    // Во время игры — без остановки: очередь сбрасывается, звучавшие в точке перехода ноты берутся заново
     seek(time) {
-        const wasPlaying = this.isPlaying;
-        this.stop();
-        this.currentTime = time;
-        
-        if (wasPlaying) {
-            this.play(time);
+        if (!this.isPlaying) {
+            this.stop();
+            this.currentTime = time;
+            return;
         }
+        this.clearScheduledEvents();
+        this.scheduleNotes(time);
     }
 
     async startRecording() {
         await this.init();
         
         this.recordingDestination = this.audioContext.createMediaStreamDestination();
+        this.mixer.graph.master.connect(this.recordingDestination);
         this.mediaRecorder = new MediaRecorder(this.recordingDestination.stream);
         this.recordedChunks = [];
 
@@ -475,6 +635,7 @@ export class MIDIPlayer {
                 const blob = new Blob(this.recordedChunks, { type: 'audio/webm' });
                 this.isRecording = false;
                 this.mediaRecorder = null;
+                this.mixer.graph.master.disconnect(this.recordingDestination);
                 this.recordingDestination = null;
                 resolve(blob);
             };
@@ -484,66 +645,36 @@ export class MIDIPlayer {
     }
 
     exportToJSON() {
-        if (!this.midiData) return null;
-
-        const ticksPerBeat = this.midiData.ticksPerBeat;
-        const tempoChanges = [];
-
-        this.midiData.tracks.forEach(track => {
-            track.events.forEach(event => {
-                if (event.type === 'tempo') {
-                    tempoChanges.push({
-                        tick: event.time,
-                        microsecondsPerBeat: event.microsecondsPerBeat
-                    });
-                }
-            });
-        });
-
-        tempoChanges.sort((a, b) => a.tick - b.tick);
-
-        const tracks = this.midiData.tracks.map(track => {
-            const noteMap = new Map();
-            const notes = [];
-
-            track.events.forEach(event => {
-                const eventTime = this.ticksToSeconds(event.time, ticksPerBeat, tempoChanges);
-
-                if (event.type === 'noteOn') {
-                    noteMap.set(event.note, {
-                        note: event.note,
-                        velocity: event.velocity,
-                        time: eventTime
-                    });
-                } else if (event.type === 'noteOff') {
-                    const noteOn = noteMap.get(event.note);
-                    if (noteOn) {
-                        notes.push({
-                            note: noteOn.note,
-                            time: noteOn.time,
-                            duration: eventTime - noteOn.time,
-                            velocity: noteOn.velocity
-                        });
-                        noteMap.delete(event.note);
-                    }
-                }
-            });
-
+        if (!this.song) return null;
+
+        const tracks = this.midiData.tracks.map((track, trackIndex) => {
+            const notes = this.song.notesForTrack(trackIndex).map(note => ({
+                note: note.note,
+                time: note.startTime,
+                duration: note.duration,
+                velocity: note.velocity
+            }));
             return { notes };
         });
 
         return { tracks };
     }
 
+    exportToMusicXML(title = '') {
+        if (!this.song) return null;
+        return new MusicXMLWriter().createMusicXML(this.song, this.midiData, { title });
+    }
+
     async exportToWAV() {
-        if (!this.midiData) return null;
+        if (!this.song) return null;
 
         console.log('Starting WAV export...');
         
         // First, preload all instruments needed for export
         await this.preloadInstrumentsFromMIDI();
 
-        const duration = this.duration;
+        const tempoFactor = this.tempo / 100;
+        const duration = this.duration / tempoFactor;
         const sampleRate = 44100;
         const numberOfChannels = 2;
 
@@ -556,67 +687,35 @@ export class MIDIPlayer {
         const offlineGain = offlineContext.createGain();
         offlineGain.gain.value = this.volume / 100;
         offlineGain.connect(offlineContext.destination);
-
-        const ticksPerBeat = this.midiData.ticksPerBeat;
-        const tempoChanges = [];
-
-        // Collect tempo changes using for...of
-        for (const track of this.midiData.tracks) {
-            for (const event of track.events) {
-                if (event.type === 'tempo') {
-                    tempoChanges.push({
-                        tick: event.time,
-                        microsecondsPerBeat: event.microsecondsPerBeat
-                    });
-                }
-            }
-        }
-
-        tempoChanges.sort((a, b) => a.tick - b.tick);
-
-        // Process all tracks and schedule notes
-        for (const track of this.midiData.tracks) {
-            const noteMap = new Map();
+        const mixerGraph = this.mixer.createGraph(offlineContext, offlineGain);
+        const toAudioTime = time => time / tempoFactor;
+        this.controls.resetChannels(mixerGraph, 0, 0);
+        this.controls.scheduleChannels(mixerGraph, 0, Infinity, toAudioTime);
+
+        // Schedule all notes of the song model
+        this.song.notes.forEach((note, index) => {
+            // Состояние GM/GS/XG на момент начала ноты
+            const sysexState = this.song.sysExStateAt(note.startTime);
+            const program = this.instrumentFor(index, sysexState);
+            const instrument = this.instruments[program] || this.instruments[0]; // Fallback to piano
             
-            for (const event of track.events) {
-                const eventTime = this.ticksToSeconds(event.time, ticksPerBeat, tempoChanges) / (this.tempo / 100);
-
-                if (event.type === 'noteOn') {
-                    noteMap.set(event.note + '_' + event.channel, {
-                        note: event.note,
-                        velocity: event.velocity,
-                        startTime: eventTime,
-                        channel: event.channel
-                    });
-                } else if (event.type === 'noteOff') {
-                    const noteOn = noteMap.get(event.note + '_' + event.channel);
-                    if (noteOn) {
-                        const noteDuration = eventTime - noteOn.startTime;
-                        
-                        // Channel 9 is drums in MIDI standard
-                        const program = noteOn.channel === 9 ? 128 : (this.channelPrograms[noteOn.channel] || 0);
-                        const instrument = this.instruments[program] || this.instruments[0]; // Fallback to piano
-                        
-                        if (instrument && this.player) {
-                            // Use Web Audio Font for offline rendering
-                            this.player.queueWaveTable(
-                                offlineContext,
-                                offlineGain,
-                                instrument,
-                                noteOn.startTime,
-                                noteOn.note,
-                                noteDuration,
-                                (noteOn.velocity / 127)
-                            );
-                        } else {
-                            console.warn(`No instrument available for program ${program}, skipping note`);
-                        }
-                        
-                        noteMap.delete(event.note + '_' + event.channel);
-                    }
-                }
+            if (instrument && this.player) {
+                // Use Web Audio Font for offline rendering (длительность — с учётом педалей)
+                const end = this.controls.noteEnds[index];
+                const envelope = this.player.queueWaveTable(
+                    offlineContext,
+                    this.mixer.input(mixerGraph, note.channel),
+                    instrument,
+                    toAudioTime(note.startTime),
+                    note.note,
+                    (end - note.startTime) / tempoFactor,
+                    (this.controls.noteVelocities[index] / 127) * sysexState.masterVolume
+                );
+                this.controls.applyToNote(offlineContext, envelope, note.channel, note.startTime, end, toAudioTime);
+            } else {
+                console.warn(`No instrument available for program ${program}, skipping note`);
             }
-        }
+        });
 
         try {
             console.log('Rendering audio buffer...');
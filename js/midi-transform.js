@@ -0,0 +1,99 @@
+// ===== ПРЕОБРАЗОВАНИЯ ПЕСНИ =====
+//
+// Работают с полным JSON (midiToFullJSON: тики, исходный порядок событий) и возвращают
+// новый JSON того же вида — его можно записать MIDIWriter и сразу загрузить в плеер.
+// Ноты спариваются так же, как в Song: трек + канал + нота, FIFO.
+
+const DRUM_CHANNEL = 9; // Канал 10
+
+function mapTracks(json, mapEvents) {
+    return {
+        ...json,
+        tracks: json.tracks.map(track => ({ ...track, events: mapEvents(track.events.map(event => ({ ...event }))) }))
+    };
+}
+
+// После сдвига времени: по тикам, на одном тике noteOff раньше остальных (иначе повтор ноты обрывается).
+// Поэтому каждая нота после преобразования длится хотя бы тик
+function sortByTime(events) {
+    const rank = event => (event.type === 'noteOff' ? 0 : 1);
+    return events
+        .map((event, order) => ({ event, order }))
+        .sort((a, b) => a.event.time - b.event.time || rank(a.event) - rank(b.event) || a.order - b.order)
+        .map(item => item.event);
+}
+
+// Пары [noteOn, noteOff] трека; noteOn без noteOff — с null
+function pairNotes(events) {
+    const pairs = [];
+    const pending = new Map();
+    events.forEach(event => {
+        if (event.type === 'noteOn') {
+            const key = event.channel * 128 + event.note;
+            if (!pending.has(key)) pending.set(key, []);
+            const pair = [event, null];
+            pending.get(key).push(pair);
+            pairs.push(pair);
+        } else if (event.type === 'noteOff') {
+            const queue = pending.get(event.channel * 128 + event.note);
+            if (queue && queue.length > 0) queue.shift()[1] = event;
+        }
+    });
+    return pairs;
+}
+
+// Транспонирование на semitones полутонов; канал ударных не трогаем.
+// Ноты, вышедшие за 0-127, удаляются вместе с noteOff и polyPressure
+export function transpose(json, semitones) {
+    return mapTracks(json, events => events.filter(event => {
+        if (!['noteOn', 'noteOff', 'polyPressure'].includes(event.type) || event.channel === DRUM_CHANNEL) {
+            return true;
+        }
+        event.note += semitones;
+        return event.note >= 0 && event.note <= 127;
+    }));
+}
+
+// Квантование начала нот к сетке gridTicks; strength 0..1 — доля пути до ближайшей линии.
+// Длительность сохраняется: noteOff сдвигается вместе с noteOn
+export function quantize(json, gridTicks, strength = 1) {
+    if (!(gridTicks > 0)) throw new Error('Шаг сетки должен быть больше нуля');
+    const amount = Math.max(0, Math.min(1, strength));
+
+    return mapTracks(json, events => {
+        pairNotes(events).forEach(([noteOn, noteOff]) => {
+            const target = Math.round(noteOn.time / gridTicks) * gridTicks;
+            const shift = Math.round((target - noteOn.time) * amount);
+            noteOn.time += shift;
+            if (noteOff) noteOff.time = Math.max(noteOn.time + 1, noteOff.time + shift);
+        });
+        return sortByTime(events);
+    });
+}
+
+// Громкость нот: сначала сжатие к середине (compression 0..1: 0 — без изменений, 1 — все 64),
+// затем умножение на factor. Результат — в пределах 1-127
+export function scaleVelocities(json, factor = 1, compression = 0) {
+    const amount = Math.max(0, Math.min(1, compression));
+    return mapTracks(json, events => events.map(event => {
+        if (event.type === 'noteOn' && event.velocity > 0) {
+            const compressed = 64 + (event.velocity - 64) * (1 - amount);
+            event.velocity = Math.max(1, Math.min(127, Math.round(compressed * factor)));
+        }
+        return event;
+    }));
+}
+
+// Растяжение по времени: все события (и End of Track) умножаются на factor, темп не меняется
+export function stretchTime(json, factor) {
+    if (!(factor > 0)) throw new Error('Коэффициент растяжения должен быть больше нуля');
+    return mapTracks(json, events => {
+        events.forEach(event => {
+            event.time = Math.round(event.time * factor);
+        });
+        pairNotes(events).forEach(([noteOn, noteOff]) => {
+            if (noteOff) noteOff.time = Math.max(noteOn.time + 1, noteOff.time);
+        });
+        return sortByTime(events);
+    });
+}
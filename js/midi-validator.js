@@ -0,0 +1,257 @@
+import { Song } from './song.js';
+
+// ===== ПРОВЕРКА MIDI ФАЙЛА =====
+//
+// Строит отчёт по результату MIDIParser (и предупреждениям мягкого разбора):
+//   { file, summary: { errors, warnings, total }, counts: { CODE: n }, issues }
+// Проблема: { severity: 'error' | 'warning', code, message, trackIndex, channel, tick, time, position }
+// trackIndex и channel — с 0 (trackIndex — номер в midiData.tracks), position — «такт:доля» для чтения человеком.
+// В формате 2 такты и время считаются по темпу своей последовательности.
+
+// Подробностей на один код не больше этого числа (в counts — полное количество)
+const MAX_ISSUES_PER_CODE = 100;
+
+// Карта ударных General MIDI Level 1: 35 (Acoustic Bass Drum) .. 81 (Open Triangle)
+const GM_DRUM_FIRST = 35;
+const GM_DRUM_LAST = 81;
+const GM_DRUM_CHANNEL = 9;
+
+// Важность предупреждений мягкого разбора. Ошибка — только потеря или нехватка данных;
+// отклонения, которые парсер восстанавливает без потерь, — предупреждения. Неизвестный код — ошибка.
+const PARSE_WARNING_SEVERITY = {
+    HEADER_LENGTH: 'error',
+    MISSING_TRACKS: 'error',
+    TRACK_TRUNCATED: 'error',
+    META_TRUNCATED: 'error',
+    TRUNCATED_EVENT: 'error',
+    NO_RUNNING_STATUS: 'error',
+    JUNK_DATA: 'error',
+    EXTRA_TRACK: 'warning',
+    UNKNOWN_CHUNK: 'warning',
+    RUNNING_STATUS_AFTER_META: 'warning',
+    UNEXPECTED_STATUS: 'warning',
+    TRACK_LENGTH_MISMATCH: 'warning',
+    MISSING_END_OF_TRACK: 'warning',
+    DATA_AFTER_END_OF_TRACK: 'warning'
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// 60 → C4
+function noteName(note) {
+    return NOTE_NAMES[note % 12] + (Math.floor(note / 12) - 1);
+}
+
+// Поля канальных событий, которые должны укладываться в 7 бит
+const DATA_FIELDS = {
+    noteOn: ['note', 'velocity'],
+    noteOff: ['note', 'velocity'],
+    polyPressure: ['note', 'pressure'],
+    controlChange: ['controller', 'value'],
+    programChange: ['program'],
+    channelPressure: ['pressure']
+};
+
+// Song на каждую последовательность: { song, tracks — номера треков в midiData.tracks }
+function buildSongs(midiData) {
+    if (!midiData.sequences || midiData.sequences.length === 0) {
+        return [{ song: new Song(midiData), tracks: midiData.tracks.map((track, index) => index) }];
+    }
+    return midiData.sequences.map(sequence => ({
+        song: new Song({
+            ...midiData,
+            tracks: sequence.tracks,
+            tempoMap: sequence.tempoMap,
+            timeSignatureMap: sequence.timeSignatureMap,
+            keySignatureMap: sequence.keySignatureMap
+        }),
+        tracks: sequence.tracks.map(track => midiData.tracks.indexOf(track))
+    }));
+}
+
+export function validateMIDI(midiData, parseWarnings = []) {
+    const songs = buildSongs(midiData);
+    const songByTrack = new Map();
+    songs.forEach(({ song, tracks }) => tracks.forEach(trackIndex => songByTrack.set(trackIndex, song)));
+    // Предупреждения парсера нумеруют чанки MTrk, а пустые чанки в midiData.tracks не попадают
+    const trackByChunk = new Map(midiData.tracks.map((track, index) => [track.chunkIndex ?? index, index]));
+
+    const issues = [];
+    const counts = {};
+    const summary = { errors: 0, warnings: 0, total: 0 };
+
+    const report = (severity, code, message, details = {}) => {
+        counts[code] = (counts[code] || 0) + 1;
+        summary[severity === 'error' ? 'errors' : 'warnings']++;
+        summary.total++;
+        if (counts[code] > MAX_ISSUES_PER_CODE) return;
+
+        const issue = { severity, code, message, trackIndex: null, channel: null, tick: null, time: null, position: null };
+        Object.assign(issue, details);
+        // При нулевом делении времени такты и секунды не определены
+        if (issue.tick !== null && midiData.ticksPerBeat > 0) {
+            const song = songByTrack.get(issue.trackIndex) || songs[0].song;
+            const { bar, beat } = song.tempoMap.ticksToBarBeat(issue.tick);
+            issue.time = song.ticksToSeconds(issue.tick);
+            issue.position = `${bar}:${beat}`;
+        }
+        issues.push(issue);
+    };
+
+    parseWarnings.forEach(warning => {
+        let trackIndex = null;
+        let where = `байт ${warning.byteOffset}`;
+        if (warning.trackIndex !== null && warning.trackIndex !== undefined) {
+            trackIndex = trackByChunk.get(warning.trackIndex) ?? null;
+            if (trackIndex === null) where += `, пустой чанк MTrk ${warning.trackIndex + 1}`;
+        }
+        // Разобранные события после End of Track сообщает checkEventsAfterEnd — с тактом и числом событий
+        if (warning.code === 'DATA_AFTER_END_OF_TRACK' && trackIndex !== null &&
+            (midiData.tracks[trackIndex].eventsAfterEnd || []).length > 0) return;
+        report(PARSE_WARNING_SEVERITY[warning.code] || 'error', warning.code, `${warning.message} (${where})`, { trackIndex });
+    });
+
+    checkTimeDivision(midiData, report);
+    checkTempo(midiData, report);
+
+    midiData.tracks.forEach((track, trackIndex) => {
+        checkOverlappingNotes(track, trackIndex, report);
+        checkDataRanges(track, trackIndex, report);
+        checkDrumNotes(track, trackIndex, report);
+        checkEventsAfterEnd(track, trackIndex, report);
+        if (midiData.format === 1) {
+            checkMixedChannels(track, trackIndex, report);
+        }
+    });
+
+    songs.forEach(({ song, tracks }) => {
+        song.notes.forEach(note => {
+            if (!note.hanging) return;
+            report('warning', 'STUCK_NOTE',
+                `Нота ${noteName(note.note)} (${note.note}) без noteOff`,
+                { trackIndex: tracks[note.track], channel: note.channel, tick: note.startTick });
+        });
+    });
+
+    issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) ||
+        (a.trackIndex ?? -1) - (b.trackIndex ?? -1) ||
+        (a.tick ?? -1) - (b.tick ?? -1));
+
+    return {
+        file: {
+            format: midiData.format,
+            trackCount: midiData.trackCount,
+            ticksPerBeat: midiData.ticksPerBeat,
+            isSMPTE: midiData.isSMPTE
+        },
+        summary,
+        counts,
+        issues
+    };
+}
+
+// Нет ни одного Set Tempo: проигрыватели подставят 120 BPM
+// Нулевое деление времени в заголовке: тик длится бесконечно, длительность песни — Infinity
+function checkTimeDivision(midiData, report) {
+    if (midiData.isSMPTE) {
+        if (midiData.ticksPerFrame === 0) {
+            report('error', 'ZERO_DIVISION', 'В заголовке 0 тиков на кадр SMPTE, время событий не определено');
+        }
+    } else if (midiData.ticksPerBeat === 0) {
+        report('error', 'ZERO_DIVISION', 'В заголовке 0 тиков на четверть (PPQ), время событий не определено');
+    }
+}
+
+function checkTempo(midiData, report) {
+    if (midiData.isSMPTE) return; // В SMPTE-файлах темп не используется
+    const hasTempo = midiData.tracks.some(track => track.events.some(event => event.type === 'tempo'));
+    if (!hasTempo) {
+        report('warning', 'MISSING_TEMPO', 'В файле нет события Set Tempo, используется 120 BPM');
+    }
+    // Темп 0 мкс/четверть: все последующие события звучат одновременно, длительность — 0
+    midiData.tracks.forEach((track, trackIndex) => {
+        track.events.forEach(event => {
+            if (event.type !== 'tempo' || event.microsecondsPerBeat > 0) return;
+            report('error', 'ZERO_TEMPO', 'Set Tempo со значением 0 мкс на четверть',
+                { trackIndex, tick: event.time });
+        });
+    });
+}
+
+// Повторный noteOn той же ноты на том же канале до её noteOff
+function checkOverlappingNotes(track, trackIndex, report) {
+    const active = new Map(); // канал * 128 + нота → число звучащих
+    track.events.forEach(event => {
+        if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+        const key = event.channel * 128 + event.note;
+        const count = active.get(key) || 0;
+        if (event.type === 'noteOff') {
+            if (count > 0) active.set(key, count - 1);
+            return;
+        }
+        if (count > 0) {
+            report('warning', 'DUPLICATE_NOTE',
+                `Нота ${noteName(event.note)} (${event.note}) включена повторно, пока звучит`,
+                { trackIndex, channel: event.channel, tick: event.time });
+        }
+        active.set(key, count + 1);
+    });
+}
+
+// Байты данных канальных сообщений — 0..127, pitch bend — 0..16383
+function checkDataRanges(track, trackIndex, report) {
+    track.events.forEach(event => {
+        const details = { trackIndex, channel: event.channel, tick: event.time };
+        if (event.type === 'pitchBend') {
+            if (event.value > 16383) {
+                report('error', 'DATA_OUT_OF_RANGE', `Pitch bend ${event.value} вне диапазона 0..16383`, details);
+            }
+            return;
+        }
+        const fields = DATA_FIELDS[event.type];
+        if (!fields) return;
+        fields.forEach(field => {
+            if (event[field] <= 127) return;
+            if (event.type === 'controlChange') {
+                report('error', 'CONTROLLER_OUT_OF_RANGE',
+                    `Контроллер ${event.controller}: ${field === 'value' ? 'значение' : 'номер'} ${event[field]} больше 127`,
+                    details);
+            } else {
+                report('error', 'DATA_OUT_OF_RANGE', `${event.type}: ${field} = ${event[field]} больше 127`, details);
+            }
+        });
+    });
+}
+
+// Канал 10: ноты вне карты ударных GM не звучат на стандартных синтезаторах
+function checkDrumNotes(track, trackIndex, report) {
+    track.events.forEach(event => {
+        if (event.type !== 'noteOn' || event.channel !== GM_DRUM_CHANNEL) return;
+        if (event.note >= GM_DRUM_FIRST && event.note <= GM_DRUM_LAST) return;
+        report('warning', 'DRUM_NOTE_OUT_OF_MAP',
+            `Ударная нота ${event.note} вне карты GM (${GM_DRUM_FIRST}..${GM_DRUM_LAST})`,
+            { trackIndex, channel: event.channel, tick: event.time });
+    });
+}
+
+// События между End of Track и концом чанка игнорируются проигрывателями
+function checkEventsAfterEnd(track, trackIndex, report) {
+    const eventsAfterEnd = track.eventsAfterEnd || [];
+    if (eventsAfterEnd.length === 0) return;
+    report('error', 'EVENTS_AFTER_END_OF_TRACK',
+        `${eventsAfterEnd.length} событий после End of Track`,
+        { trackIndex, tick: eventsAfterEnd[0].time });
+}
+
+// Формат 1: трек обычно соответствует одному каналу
+function checkMixedChannels(track, trackIndex, report) {
+    const channels = new Set();
+    track.events.forEach(event => {
+        if (DATA_FIELDS[event.type] || event.type === 'pitchBend') {
+            channels.add(event.channel);
+        }
+    });
+    if (channels.size <= 1) return;
+    const list = [...channels].sort((a, b) => a - b).map(channel => channel + 1).join(', ');
+    report('warning', 'MIXED_CHANNELS', `Трек содержит события нескольких каналов: ${list}`, { trackIndex });
+}
@@ -0,0 +1,32 @@
+import { MIDIParser } from './midi-parser.js';
+import { Song } from './song.js';
+
+// ===== WEB WORKER: РАЗБОР MIDI ВНЕ ОСНОВНОГО ПОТОКА =====
+//
+// Вход:  { buffer } — содержимое файла (ArrayBuffer, передаётся через transfer)
+// Выход: { type: 'progress', phase: 'parse' | 'song', value: 0..1 }
+//        { type: 'result', fileData, warnings, song } — song упакован Song.toTransferable()
+//        { type: 'error', message }
+
+self.onmessage = (e) => {
+    const { buffer } = e.data;
+
+    try {
+        const { song: fileData, warnings } = MIDIParser.parseLenient(buffer, {
+            onProgress: (value) => self.postMessage({ type: 'progress', phase: 'parse', value })
+        });
+
+        // Модель строим для первой последовательности (формат 2) или для всего файла
+        const midiData = fileData.sequences && fileData.sequences.length > 0
+            ? { ...fileData, ...fileData.sequences[0] }
+            : fileData;
+        const song = new Song(midiData, {
+            onProgress: (value) => self.postMessage({ type: 'progress', phase: 'song', value })
+        });
+
+        const { payload, transfer } = song.toTransferable();
+        self.postMessage({ type: 'result', fileData, warnings, song: payload }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -1,7 +1,78 @@
+import { TempoMap } from './tempo-map.js';
+import { decodeText } from './midi-parser.js';
+
 // ===== MIDI WRITER =====
+
+const DEFAULT_PPQ = 480;
+const DEFAULT_MICROSECONDS_PER_BEAT = 500000; // 120 BPM
+const TIME_UNITS = ['seconds', 'beats', 'ticks'];
+
+// Байты текстового мета-события: исходные (data), если текст не правили, иначе UTF-8
+function textBytes(event) {
+    const text = event.text || '';
+    if (event.data && decodeText(Uint8Array.from(event.data)) === text) return [...event.data];
+    return [...new TextEncoder().encode(text)];
+}
+
+// Темп из { bpm } или { microsecondsPerBeat }
+function microsecondsPerBeatOf(entry) {
+    return entry.microsecondsPerBeat ?? Math.round(60000000 / entry.bpm);
+}
+
+// Текстовые мета-события: тип события JSON → байт типа
+const TEXT_META_TYPES = {
+    text: 0x01,
+    copyright: 0x02,
+    trackName: 0x03,
+    instrumentName: 0x04,
+    lyrics: 0x05,
+    marker: 0x06,
+    cuePoint: 0x07,
+    programName: 0x08,
+    deviceName: 0x09
+};
+
+// Частота кадров смещения SMPTE → код в старших битах байта часов
+const SMPTE_OFFSET_RATES = [24, 25, 29.97, 30];
+const SMPTE_FORMATS = [24, 25, 29, 30];
+
+// Порядок событий на одном тике (меньше — раньше)
+const EVENT_PRIORITY = {
+    trackName: 0,
+    instrumentName: 0,
+    copyright: 0,
+    tempo: 1,
+    timeSignature: 1,
+    keySignature: 1,
+    text: 2,
+    marker: 2,
+    cuePoint: 2,
+    lyrics: 2,
+    programName: 2,
+    deviceName: 2,
+    sequenceNumber: 0,
+    channelPrefix: 0,
+    midiPort: 0,
+    smpteOffset: 0,
+    sequencerSpecific: 2,
+    meta: 2,
+    sysex: 3,
+    controlChange: 3,
+    programChange: 3,
+    pitchBend: 3,
+    channelPressure: 3,
+    noteOff: 4,
+    noteOn: 5,
+    polyPressure: 6,
+    endOfTrack: 7
+};
+
 export class MIDIWriter {
     constructor() {
         this.data = [];
+        this.runningStatus = null; // Последний записанный статус канального сообщения
+        this.useRunningStatus = false;
+        this.lossless = false;
     }
 
     writeString(str) {
@@ -26,6 +97,13 @@ export class MIDIWriter {
         this.data.push(value & 0xFF);
     }
 
+    // Поштучно: push(...bytes) переполняет стек на треках в сотни килобайт
+    writeBytes(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            this.data.push(bytes[i]);
+        }
+    }
+
     writeVarLen(value) {
         const bytes = [];
         bytes.push(value & 0x7F);
@@ -39,73 +117,351 @@ export class MIDIWriter {
         }
     }
 
-    createMIDI(jsonData) {
+    // jsonData: { format, ppq, smpte, timeUnit, tempo, tempoMap, fidelity, tracks }
+    //   format — формат SMF (по умолчанию 1)
+    //   ppq — тиков на четверть (по умолчанию 480); smpte — { framesPerSecond: 24|25|29|30, ticksPerFrame }
+    //   timeUnit — единица time/duration: 'seconds' (по умолчанию), 'beats' (четверти) или 'ticks'
+    //   tempo — BPM для всей песни, tempoMap — [{ time, bpm | microsecondsPerBeat }] в единицах timeUnit
+    //   fidelity: 'full' — JSON без потерь (midiToFullJSON): события пишутся как есть и в своём порядке
+    // Смены темпа записываются в первый трек; без темпа явно записывается 120 BPM (кроме fidelity: 'full').
+    //
+    // options (важнее полей JSON): { format, ppq, runningStatus }
+    //   format: 0 — все треки сливаются в один с сохранением каналов
+    //   ppq — разрешение файла; тики JSON (timeUnit 'ticks') пересчитываются из jsonData.ppq
+    //   runningStatus — не повторять одинаковый статус канальных сообщений подряд
+    createMIDI(jsonData, options = {}) {
         this.data = [];
-        
+        this.sourcePpq = jsonData.ppq ?? DEFAULT_PPQ;
+        this.ppq = options.ppq ?? this.sourcePpq;
+        this.smpte = jsonData.smpte || null;
+        this.timeUnit = jsonData.timeUnit || 'seconds';
+        this.lossless = jsonData.fidelity === 'full';
+        this.useRunningStatus = options.runningStatus ?? jsonData.runningStatus ?? false;
+        const format = options.format ?? jsonData.format ?? 1;
+
+        if (![0, 1, 2].includes(format)) {
+            throw new Error(`Неизвестный формат SMF: ${format}`);
+        }
+        if (this.smpte) {
+            if (!SMPTE_FORMATS.includes(this.smpte.framesPerSecond) ||
+                !Number.isInteger(this.smpte.ticksPerFrame) || this.smpte.ticksPerFrame < 1 || this.smpte.ticksPerFrame > 0xFF) {
+                throw new Error('smpte: framesPerSecond — 24, 25, 29 или 30, ticksPerFrame — от 1 до 255');
+            }
+            if (this.timeUnit === 'beats') {
+                throw new Error('При делении SMPTE время задаётся в секундах или тиках');
+            }
+            if (options.ppq !== undefined) {
+                throw new Error('Для файла с делением SMPTE нельзя задать ppq');
+            }
+        } else if (!Number.isInteger(this.ppq) || this.ppq < 1 || this.ppq > 0x7FFF) {
+            throw new Error('ppq должен быть целым числом от 1 до 32767');
+        }
+        if (!TIME_UNITS.includes(this.timeUnit)) {
+            throw new Error(`Неизвестная единица времени: ${this.timeUnit}`);
+        }
+
+        const conductorEvents = this.collectGlobalTempo(jsonData);
+        this.tempoMap = this.buildTempoMap(jsonData.tracks, conductorEvents);
+
+        let trackEvents = jsonData.tracks.map((track, index) =>
+            this.collectTrackEvents(track, index === 0 ? conductorEvents : []));
+        // События после End of Track (полный JSON) — только без слияния треков: в общем треке им нет места
+        let afterEnd = jsonData.tracks.map(track =>
+            this.lossless && track.eventsAfterEnd ? track.eventsAfterEnd : []);
+        if (format === 0 && trackEvents.length > 1) {
+            trackEvents = [this.mergeTrackEvents(trackEvents)];
+            afterEnd = [[]];
+        }
+
         this.writeString('MThd');
         this.writeUInt32(6);
-        this.writeUInt16(1);
-        this.writeUInt16(jsonData.tracks.length);
-        this.writeUInt16(480);
+        this.writeUInt16(format);
+        this.writeUInt16(trackEvents.length);
+        this.writeUInt16(this.timeDivision());
 
-        jsonData.tracks.forEach(track => {
-            this.writeTrack(track);
-        });
+        trackEvents.forEach((events, index) => this.writeTrack(events, afterEnd[index]));
 
         return new Uint8Array(this.data);
     }
 
-    writeTrack(track) {
-        const tempWriter = new MIDIWriter();
-        
-        const notes = [...track.notes].sort((a, b) => a.time - b.time);
-        
-        const events = [];
-        notes.forEach(note => {
-            const startTime = Math.round(note.time * 480);
-            const endTime = Math.round((note.time + note.duration) * 480);
-            
-            events.push({
-                time: startTime,
-                type: 'noteOn',
-                note: note.note,
-                velocity: note.velocity || 100
+    // Формат 0: события всех треков в одном, на одном тике — в порядке треков
+    mergeTrackEvents(trackEvents) {
+        const merged = [];
+        trackEvents.forEach((events, track) => {
+            events.forEach(event => merged.push({ ...event, track }));
+        });
+        merged.sort((a, b) => a.time - b.time ||
+            (this.lossless ? 0 : EVENT_PRIORITY[a.type] - EVENT_PRIORITY[b.type]) ||
+            a.track - b.track ||
+            a.order - b.order);
+        return merged;
+    }
+
+    // Слово деления времени заголовка: PPQ или отрицательный код SMPTE и тиков на кадр
+    timeDivision() {
+        if (!this.smpte) return this.ppq;
+        return ((256 - this.smpte.framesPerSecond) << 8) | this.smpte.ticksPerFrame;
+    }
+
+    // Темп уровня песни (tempo / tempoMap) → события tempo для первого трека
+    collectGlobalTempo(jsonData) {
+        let entries = [];
+        if (Array.isArray(jsonData.tempoMap)) {
+            entries = jsonData.tempoMap;
+        } else if (jsonData.tempo !== undefined) {
+            entries = [{ time: 0, bpm: jsonData.tempo }];
+        }
+
+        const events = entries.map(entry => ({
+            type: 'tempo',
+            time: entry.time || 0,
+            microsecondsPerBeat: microsecondsPerBeatOf(entry)
+        }));
+
+        const hasTrackTempo = jsonData.tracks.some(track =>
+            (track.events || []).some(event => event.type === 'tempo'));
+        if (events.length === 0 && !hasTrackTempo && !this.lossless) {
+            events.push({ type: 'tempo', time: 0, microsecondsPerBeat: DEFAULT_MICROSECONDS_PER_BEAT });
+        }
+        return events;
+    }
+
+    // Карта темпа для перевода секунд в тики: учитывает и глобальный темп, и tempo-события треков
+    buildTempoMap(tracks, conductorEvents) {
+        if (this.smpte) {
+            // Тики SMPTE — абсолютное время, темп на них не влияет
+            const fps = this.smpte.framesPerSecond === 29 ? 30000 / 1001 : this.smpte.framesPerSecond;
+            return new TempoMap({ ticksPerBeat: this.ppq, isSMPTE: true, ticksPerSecond: fps * this.smpte.ticksPerFrame });
+        }
+
+        const changes = [...conductorEvents];
+        tracks.forEach(track => {
+            (track.events || []).forEach(event => {
+                if (event.type === 'tempo') {
+                    changes.push({ time: event.time || 0, microsecondsPerBeat: microsecondsPerBeatOf(event) });
+                }
             });
-            
-            events.push({
-                time: endTime,
-                type: 'noteOff',
-                note: note.note
+        });
+        changes.sort((a, b) => a.time - b.time);
+
+        if (this.timeUnit !== 'seconds') {
+            return new TempoMap({
+                ticksPerBeat: this.ppq,
+                tempoChanges: changes.map(change => ({
+                    tick: this.unitsToTicks(change.time),
+                    microsecondsPerBeat: change.microsecondsPerBeat
+                }))
             });
+        }
+
+        // Время смен темпа задано в секундах: тик каждой смены — по темпу до неё
+        const tempoChanges = [];
+        let tick = 0;
+        let seconds = 0;
+        let microsecondsPerBeat = DEFAULT_MICROSECONDS_PER_BEAT;
+        changes.forEach(change => {
+            tick += (change.time - seconds) * 1000000 / microsecondsPerBeat * this.ppq;
+            seconds = change.time;
+            microsecondsPerBeat = change.microsecondsPerBeat;
+            tempoChanges.push({ tick: Math.round(tick), microsecondsPerBeat });
         });
-        
-        events.sort((a, b) => a.time - b.time);
-        
+        return new TempoMap({ ticksPerBeat: this.ppq, tempoChanges });
+    }
+
+    // Время в единицах timeUnit → тики
+    toTicks(time) {
+        if (this.timeUnit === 'seconds') {
+            return Math.round(this.tempoMap.secondsToTicks(time));
+        }
+        return this.unitsToTicks(time);
+    }
+
+    unitsToTicks(time) {
+        if (this.timeUnit === 'beats') {
+            return Math.round(time * this.ppq);
+        }
+        return Math.round(this.smpte ? time : time * this.ppq / this.sourcePpq);
+    }
+
+    // events — результат collectTrackEvents (абсолютные тики, порядок записи);
+    // afterEnd — события JSON, записываемые в чанк после End of Track как есть
+    writeTrack(events, afterEnd = []) {
+        const tempWriter = new MIDIWriter();
+        tempWriter.useRunningStatus = this.useRunningStatus;
+        tempWriter.lossless = this.lossless;
+
+        // End of Track пишется один раз — на заданном тике, но не раньше последнего события
+        let endTime = 0;
         let currentTime = 0;
         events.forEach(event => {
-            const deltaTime = event.time - currentTime;
-            tempWriter.writeVarLen(deltaTime);
-            
-            if (event.type === 'noteOn') {
-                tempWriter.writeUInt8(0x90);
-                tempWriter.writeUInt8(event.note);
-                tempWriter.writeUInt8(event.velocity);
-            } else {
-                tempWriter.writeUInt8(0x80);
-                tempWriter.writeUInt8(event.note);
-                tempWriter.writeUInt8(0);
+            if (event.type === 'endOfTrack') {
+                endTime = Math.max(endTime, event.time);
+                return;
             }
-            
+            tempWriter.writeVarLen(event.time - currentTime);
+            tempWriter.writeEvent(event);
             currentTime = event.time;
         });
-        
-        tempWriter.writeVarLen(0);
+
+        tempWriter.writeVarLen(Math.max(0, endTime - currentTime));
         tempWriter.writeUInt8(0xFF);
         tempWriter.writeUInt8(0x2F);
         tempWriter.writeUInt8(0x00);
-        
+        currentTime = Math.max(endTime, currentTime);
+
+        afterEnd.forEach(event => {
+            const time = this.toTicks(event.time || 0);
+            tempWriter.writeVarLen(Math.max(0, time - currentTime));
+            tempWriter.writeEvent(event);
+            currentTime = Math.max(time, currentTime);
+        });
+
         this.writeString('MTrk');
         this.writeUInt32(tempWriter.data.length);
-        this.data.push(...tempWriter.data);
+        this.writeBytes(tempWriter.data);
+    }
+
+    // Трек JSON: { name, channel, program, notes: [...], events: [...] }
+    // channel и program — значения по умолчанию для нот и событий трека.
+    // Возвращает все события трека в абсолютных тиках, упорядоченные для записи.
+    collectTrackEvents(track, extraEvents = []) {
+        const defaultChannel = track.channel ?? 0;
+        const events = [];
+        const add = (time, event) => events.push({ ...event, time: this.toTicks(time), order: events.length });
+
+        if (track.name !== undefined && !this.lossless) {
+            add(0, { type: 'trackName', text: String(track.name) });
+        }
+        if (track.program !== undefined && !this.lossless) {
+            add(0, { type: 'programChange', program: track.program, channel: defaultChannel });
+        }
+
+        [...extraEvents, ...(track.events || [])].forEach(event => {
+            if (!EVENT_PRIORITY.hasOwnProperty(event.type)) {
+                throw new Error(`Неизвестный тип события: ${event.type}`);
+            }
+            add(event.time || 0, { ...event, channel: event.channel ?? defaultChannel });
+        });
+
+        (track.notes || []).forEach(note => {
+            const channel = note.channel ?? defaultChannel;
+            add(note.time, { type: 'noteOn', note: note.note, velocity: note.velocity || 100, channel });
+            add(note.time + note.duration, { type: 'noteOff', note: note.note, channel });
+        });
+
+        // На одном тике: мета-события, затем контроллеры и программы, noteOff раньше noteOn.
+        // Без потерь — исходный порядок событий.
+        events.sort((a, b) => a.time - b.time ||
+            (this.lossless ? 0 : EVENT_PRIORITY[a.type] - EVENT_PRIORITY[b.type]) ||
+            a.order - b.order);
+        return events;
+    }
+
+    writeEvent(event) {
+        const channel = event.channel & 0x0F;
+
+        switch (event.type) {
+            case 'noteOn':
+                this.writeChannelMessage(0x90 | channel, event.note, event.velocity);
+                break;
+            case 'noteOff':
+                // С running status noteOff выгоднее писать как noteOn с нулевой громкостью
+                if (event.zeroVelocityNoteOn || (this.useRunningStatus && !this.lossless && !event.velocity)) {
+                    this.writeChannelMessage(0x90 | channel, event.note, 0);
+                } else {
+                    this.writeChannelMessage(0x80 | channel, event.note, event.velocity ?? 0);
+                }
+                break;
+            case 'polyPressure':
+                this.writeChannelMessage(0xA0 | channel, event.note, event.pressure);
+                break;
+            case 'controlChange':
+                this.writeChannelMessage(0xB0 | channel, event.controller, event.value);
+                break;
+            case 'programChange':
+                this.writeChannelMessage(0xC0 | channel, event.program);
+                break;
+            case 'channelPressure':
+                this.writeChannelMessage(0xD0 | channel, event.pressure);
+                break;
+            case 'pitchBend': {
+                // 0..16383, центр — 8192
+                const value = Math.max(0, Math.min(16383, Math.round(event.value ?? 8192)));
+                this.writeChannelMessage(0xE0 | channel, value & 0x7F, value >> 7);
+                break;
+            }
+            case 'tempo': {
+                const microsecondsPerBeat = microsecondsPerBeatOf(event);
+                this.writeMetaEvent(0x51, [
+                    (microsecondsPerBeat >> 16) & 0xFF,
+                    (microsecondsPerBeat >> 8) & 0xFF,
+                    microsecondsPerBeat & 0xFF
+                ]);
+                break;
+            }
+            case 'timeSignature':
+                this.writeMetaEvent(0x58, [
+                    event.numerator,
+                    Math.log2(event.denominator),
+                    event.metronome ?? 24,
+                    event.thirtySeconds ?? 8
+                ]);
+                break;
+            case 'keySignature':
+                // key: -7..7 (бемоли/диезы), scale: 0 — мажор, 1 — минор
+                this.writeMetaEvent(0x59, [event.key & 0xFF, event.scale || 0]);
+                break;
+            case 'sequenceNumber':
+                this.writeMetaEvent(0x00, [(event.number >> 8) & 0xFF, event.number & 0xFF]);
+                break;
+            case 'channelPrefix':
+                this.writeMetaEvent(0x20, [channel]);
+                break;
+            case 'midiPort':
+                this.writeMetaEvent(0x21, [event.port & 0xFF]);
+                break;
+            case 'smpteOffset': {
+                const rate = Math.max(0, SMPTE_OFFSET_RATES.indexOf(event.frameRate));
+                this.writeMetaEvent(0x54, [
+                    (rate << 5) | (event.hours & 0x1F),
+                    event.minutes,
+                    event.seconds,
+                    event.frames,
+                    event.subFrames ?? 0
+                ]);
+                break;
+            }
+            case 'sequencerSpecific':
+                this.writeMetaEvent(0x7F, [...event.data]);
+                break;
+            case 'meta':
+                this.writeMetaEvent(event.metaType, [...event.data]);
+                break;
+            case 'sysex':
+                // data — байты после статуса (F0 или F7), включая завершающий F7
+                this.writeUInt8(event.status ?? 0xF0);
+                this.runningStatus = null; // SysEx отменяет running status
+                this.writeVarLen(event.data.length);
+                this.writeBytes(event.data);
+                break;
+            default:
+                this.writeMetaEvent(TEXT_META_TYPES[event.type], textBytes(event));
+        }
+    }
+
+    writeChannelMessage(status, ...data) {
+        if (!this.useRunningStatus || status !== this.runningStatus) {
+            this.writeUInt8(status);
+        }
+        this.runningStatus = status;
+        data.forEach(value => this.writeUInt8(value & 0x7F));
+    }
+
+    writeMetaEvent(metaType, bytes) {
+        this.runningStatus = null; // Мета-события отменяют running status
+        this.writeUInt8(0xFF);
+        this.writeUInt8(metaType);
+        this.writeVarLen(bytes.length);
+        this.writeBytes(bytes);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,75 @@
+import { instrumentName } from './gm-instruments.js';
+
+// ===== ПАНЕЛЬ МИКШЕРА =====
+//
+// Строка на каждый канал с нотами: mute, solo, громкость и панорама.
+// Настройки живут в ChannelMixer и сохраняются при загрузке другого файла.
+export class MixerPanel {
+    constructor(element, mixer) {
+        this.element = element;
+        this.mixer = mixer;
+    }
+
+    // song — модель из MIDIPlayer (null — скрыть панель)
+    setSong(song) {
+        this.element.innerHTML = '';
+        const channels = song ? [...new Set(song.notes.map(note => note.channel))].sort((a, b) => a - b) : [];
+        this.element.classList.toggle('active', channels.length > 0);
+        if (channels.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = 'mixer-title';
+        title.textContent = '🎚️ Микшер: M — заглушить, S — соло, громкость, панорама';
+        this.element.appendChild(title);
+        channels.forEach(channel => this.element.appendChild(this.renderChannel(song, channel)));
+    }
+
+    renderChannel(song, channel) {
+        const state = this.mixer.channels[channel];
+        const row = document.createElement('div');
+        row.className = 'mixer-channel';
+
+        const label = document.createElement('span');
+        label.className = 'mixer-label';
+        const programChange = song.events.find(event => event.type === 'programChange' && event.channel === channel);
+        label.textContent = `${channel + 1}. ${instrumentName(programChange ? programChange.program : 0, song.drumChannels.has(channel))}`;
+
+        const mute = this.toggleButton('M', 'Заглушить канал', state.mute, value => this.mixer.setMute(channel, value));
+        const solo = this.toggleButton('S', 'Только этот канал (можно несколько)', state.solo, value => this.mixer.setSolo(channel, value));
+
+        const volume = this.slider(0, 100, Math.round(state.volume * 100), 'Громкость', value => this.mixer.setVolume(channel, value / 100));
+        const pan = this.slider(-100, 100, Math.round(state.pan * 100), 'Панорама (двойной щелчок — по центру)', value => this.mixer.setPan(channel, value / 100));
+        pan.addEventListener('dblclick', () => {
+            pan.value = 0;
+            this.mixer.setPan(channel, 0);
+        });
+
+        row.append(label, mute, solo, volume, pan);
+        return row;
+    }
+
+    toggleButton(text, title, active, onChange) {
+        const button = document.createElement('button');
+        button.className = 'mixer-toggle';
+        button.textContent = text;
+        button.title = title;
+        button.classList.toggle('on', active);
+        button.addEventListener('click', () => {
+            const value = !button.classList.contains('on');
+            button.classList.toggle('on', value);
+            onChange(value);
+        });
+        return button;
+    }
+
+    slider(min, max, value, title, onInput) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.value = value;
+        input.title = title;
+        input.addEventListener('input', () => onInput(parseInt(input.value)));
+        return input;
+    }
+}
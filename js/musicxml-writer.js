@@ -0,0 +1,473 @@
+import { instrumentName, drumName } from './gm-instruments.js';
+
+// ===== MUSICXML WRITER =====
+//
+// Партитура строится из Song: ноты квантуются к сетке (по умолчанию 1/16),
+// такты берутся из размеров TempoMap, ноты через тактовую черту разбиваются на лиги.
+// Партия — пара трек + канал; название — имя трека или инструмент GM по программе.
+// Перекрывающиеся ноты раскладываются по голосам (до MAX_VOICES в партии).
+// Ударные пишутся без высоты (unpitched): инструмент на каждую ноту GM, позиция на нотоносце — как в MuseScore.
+
+const DIVISIONS = 8; // Делений на четверть: 1 = тридцать вторая
+const MAX_VOICES = 4;
+const XML_VERSION = '4.0';
+
+// Длительности в делениях → тип ноты (точка — в полтора раза длиннее)
+const NOTE_TYPES = [
+    [32, 'whole'], [16, 'half'], [8, 'quarter'], [4, 'eighth'], [2, '16th'], [1, '32nd']
+];
+const DURATIONS = [];
+NOTE_TYPES.forEach(([duration, type]) => {
+    if (duration % 2 === 0) DURATIONS.push({ duration: duration * 3 / 2, type, dots: 1 });
+    DURATIONS.push({ duration, type, dots: 0 });
+});
+DURATIONS.sort((a, b) => b.duration - a.duration);
+
+const SHARP_NAMES = [['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0], ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]];
+const FLAT_NAMES = [['C', 0], ['D', -1], ['D', 0], ['E', -1], ['E', 0], ['F', 0], ['G', -1], ['G', 0], ['A', -1], ['A', 0], ['B', -1], ['B', 0]];
+
+// Ударные GM → позиция на пятилинейном нотоносце и головка ноты (тарелки — крестиком)
+const DRUM_DISPLAY = {
+    35: ['E', 4], 36: ['F', 4], 37: ['C', 5, 'x'], 38: ['C', 5], 39: ['C', 5, 'x'], 40: ['C', 5],
+    41: ['G', 4], 42: ['G', 5, 'x'], 43: ['A', 4], 44: ['D', 4, 'x'], 45: ['B', 4], 46: ['G', 5, 'circle-x'],
+    47: ['D', 5], 48: ['E', 5], 49: ['A', 5, 'x'], 50: ['F', 5], 51: ['F', 5, 'x'], 52: ['C', 6, 'x'],
+    53: ['F', 5, 'diamond'], 54: ['E', 5, 'x'], 55: ['B', 5, 'x'], 56: ['E', 5, 'triangle'], 57: ['B', 5, 'x'], 59: ['F', 5, 'x']
+};
+
+// Остальные ударные — по названию ноты в пределах нотоносца
+function drumDisplay(note) {
+    return DRUM_DISPLAY[note] || [SHARP_NAMES[note % 12][0], 4 + Math.floor(note / 12) % 2];
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Разбиение длительности на записываемые значения (с точкой или без), от крупных к мелким
+function splitDuration(length) {
+    const parts = [];
+    let rest = length;
+    while (rest > 0) {
+        const value = DURATIONS.find(item => item.duration <= rest);
+        parts.push(value);
+        rest -= value.duration;
+    }
+    return parts;
+}
+
+export class MusicXMLWriter {
+    // options.grid — шаг квантования в долях четверти (0.25 = шестнадцатая)
+    constructor(options = {}) {
+        const grid = options.grid ?? 0.25;
+        this.grid = Math.max(1, Math.round(grid * DIVISIONS));
+        this.lines = [];
+        this.depth = 0;
+        this.useFlats = false;
+    }
+
+    createMusicXML(song, midiData, options = {}) {
+        if (song.notes.length === 0) {
+            throw new Error('В файле нет нот для экспорта в MusicXML');
+        }
+
+        this.song = song;
+        this.lines = [];
+        this.depth = 0;
+        this.useFlats = false;
+
+        const parts = this.collectParts(song, midiData);
+        const measures = this.buildMeasures(song, midiData, parts);
+
+        this.line('<?xml version="1.0" encoding="UTF-8" standalone="no"?>');
+        this.line(`<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML ${XML_VERSION} Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">`);
+        this.open(`score-partwise version="${XML_VERSION}"`);
+
+        if (options.title) {
+            this.open('work');
+            this.element('work-title', options.title);
+            this.close('work');
+        }
+        this.open('identification');
+        this.open('encoding');
+        this.element('software', 'WA MIDI Player');
+        this.close('encoding');
+        this.close('identification');
+
+        this.writePartList(parts);
+        parts.forEach((part, index) => this.writePart(part, measures, index === 0));
+
+        this.close('score-partwise');
+        return this.lines.join('\n') + '\n';
+    }
+
+    // ===== ПАРТИИ =====
+
+    // [{ id, name, track, channel, program, isDrum, drums, voices }] в порядке треков и каналов;
+    // drums — ноты ударных партии по возрастанию (у мелодических пусто)
+    collectParts(song, midiData) {
+        const groups = new Map();
+        song.notes.forEach(note => {
+            const key = note.track * 16 + note.channel;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(note);
+        });
+
+        const keys = [...groups.keys()].sort((a, b) => a - b);
+        return keys.map((key, index) => {
+            const notes = groups.get(key);
+            const { track, channel } = notes[0];
+            const isDrum = song.drumChannels.has(channel);
+            const program = this.programFor(song, track, channel, notes[0].startTick);
+            const trackName = midiData.tracks[track] && midiData.tracks[track].name;
+            const instrument = instrumentName(program, isDrum);
+            const average = notes.reduce((sum, note) => sum + note.note, 0) / notes.length;
+            return {
+                id: `P${index + 1}`,
+                name: trackName || instrument,
+                instrument,
+                track,
+                channel,
+                program,
+                isDrum,
+                drums: isDrum ? [...new Set(notes.map(note => note.note))].sort((a, b) => a - b) : [],
+                clef: isDrum ? 'percussion' : (average < 60 ? 'bass' : 'treble'),
+                voices: this.assignVoices(notes)
+            };
+        });
+    }
+
+    // Программа канала на момент первой ноты: сначала из того же трека, иначе из любого
+    programFor(song, track, channel, tick) {
+        let fromTrack = null;
+        let fromAny = null;
+        for (const event of song.events) {
+            if (event.time > tick) break;
+            if (event.type !== 'programChange' || event.channel !== channel) continue;
+            if (event.track === track) fromTrack = event.program;
+            fromAny = event.program;
+        }
+        return fromTrack ?? fromAny ?? 0;
+    }
+
+    quantize(ticks) {
+        const divisions = ticks / this.song.ticksPerBeat * DIVISIONS;
+        return Math.round(divisions / this.grid) * this.grid;
+    }
+
+    // Аккорды (ноты с одинаковыми началом и концом после квантования) раскладываются по голосам:
+    // аккорд идёт в первый голос, который к его началу свободен
+    assignVoices(notes) {
+        const chords = new Map();
+        notes.forEach(note => {
+            const start = this.quantize(note.startTick);
+            const end = Math.max(this.quantize(note.endTick), start + this.grid);
+            const key = `${start}:${end}`;
+            if (!chords.has(key)) chords.set(key, { start, end, pitches: [] });
+            const chord = chords.get(key);
+            if (!chord.pitches.includes(note.note)) chord.pitches.push(note.note);
+        });
+
+        const voices = [];
+        [...chords.values()]
+            .sort((a, b) => a.start - b.start || b.end - a.end)
+            .forEach(chord => {
+                chord.pitches.sort((a, b) => a - b);
+                let voice = voices.find(items => items[items.length - 1].end <= chord.start);
+                if (!voice && voices.length < MAX_VOICES) {
+                    voice = [];
+                    voices.push(voice);
+                }
+                if (!voice) {
+                    // Голоса кончились: укорачиваем ноту в голосе, который освобождается раньше всех
+                    voice = voices.reduce((best, items) =>
+                        items[items.length - 1].end < best[best.length - 1].end ? items : best);
+                    const last = voice[voice.length - 1];
+                    if (last.start === chord.start) {
+                        last.pitches = [...new Set([...last.pitches, ...chord.pitches])].sort((a, b) => a - b);
+                        return;
+                    }
+                    last.end = chord.start;
+                }
+                voice.push(chord);
+            });
+        return voices;
+    }
+
+    // ===== ТАКТЫ =====
+
+    // [{ start, length, numerator, denominator, showTime, key, tempos }] в делениях
+    buildMeasures(song, midiData, parts) {
+        const tempoMap = song.tempoMap;
+        const lastDivision = parts.reduce((max, part) => part.voices.reduce((voiceMax, voice) =>
+            Math.max(voiceMax, voice[voice.length - 1].end), max), 0);
+
+        const keySignatures = (midiData.keySignatureMap || []).map(signature => ({
+            ...signature, start: this.quantize(signature.time)
+        }));
+        const tempos = tempoMap.isSMPTE ? [] : tempoMap.tempoSegments.map(segment => ({
+            start: this.quantize(segment.tick),
+            bpm: Math.round(60000000 / segment.microsecondsPerBeat * 100) / 100
+        }));
+
+        const measures = [];
+        let previousMeter = null;
+        let previousKey = null;
+        for (let bar = 1; ; bar++) {
+            const start = this.quantize(tempoMap.barBeatToTicks(bar));
+            if (start >= lastDivision && measures.length > 0) break;
+            const end = this.quantize(tempoMap.barBeatToTicks(bar + 1));
+            // Такт короче шага сетки (смена размера посреди такта) пропадает при квантовании
+            if (end <= start) continue;
+
+            const meter = tempoMap.timeSignatureAt(tempoMap.barBeatToTicks(bar));
+            const meterText = `${meter.numerator}/${meter.denominator}`;
+            const key = keySignatures.filter(signature => signature.start < end).pop() || null;
+            const keyText = key ? `${key.key}:${key.scale}` : null;
+
+            measures.push({
+                start,
+                length: end - start,
+                numerator: meter.numerator,
+                denominator: meter.denominator,
+                showTime: meterText !== previousMeter,
+                key: keyText !== previousKey ? key : null,
+                tempos: tempos.filter(tempo => tempo.start >= start && tempo.start < end)
+            });
+            previousMeter = meterText;
+            previousKey = keyText;
+        }
+
+        // Первый такт всегда с тональностью и темпом, действующими на его начале
+        const first = measures[0];
+        if (!first.key) first.key = { key: 0, scale: 0 };
+        if (tempos.length > 0) {
+            const atStart = tempos.filter(tempo => tempo.start <= first.start).pop();
+            first.tempos = [atStart, ...first.tempos.filter(tempo => tempo.start > first.start)];
+        }
+        return measures;
+    }
+
+    // ===== ЗАПИСЬ =====
+
+    writePartList(parts) {
+        this.open('part-list');
+        parts.forEach(part => {
+            this.open(`score-part id="${part.id}"`);
+            this.element('part-name', part.name);
+            if (part.isDrum) {
+                this.writeDrumInstruments(part);
+            } else {
+                this.open(`score-instrument id="${part.id}-I1"`);
+                this.element('instrument-name', part.instrument);
+                this.close('score-instrument');
+                this.open(`midi-instrument id="${part.id}-I1"`);
+                this.element('midi-channel', part.channel + 1);
+                this.element('midi-program', part.program + 1);
+                this.close('midi-instrument');
+            }
+            this.close('score-part');
+        });
+        this.close('part-list');
+    }
+
+    // Инструмент на каждую ноту ударных: id — P1-I37 и т. п. (номер ноты + 1, как midi-unpitched)
+    writeDrumInstruments(part) {
+        part.drums.forEach(note => {
+            this.open(`score-instrument id="${part.id}-I${note + 1}"`);
+            this.element('instrument-name', drumName(note));
+            this.close('score-instrument');
+        });
+        part.drums.forEach(note => {
+            this.open(`midi-instrument id="${part.id}-I${note + 1}"`);
+            this.element('midi-channel', part.channel + 1);
+            this.element('midi-unpitched', note + 1);
+            this.close('midi-instrument');
+        });
+    }
+
+    writePart(part, measures, withTempo) {
+        this.drumPart = part.isDrum ? part : null;
+        this.open(`part id="${part.id}"`);
+        measures.forEach((measure, index) => {
+            // Знаки альтерации по тональности: бемоли в бемольных, иначе диезы
+            if (measure.key) this.useFlats = measure.key.key < 0;
+            this.open(`measure number="${index + 1}"`);
+            this.writeAttributes(part, measure, index === 0);
+            if (withTempo) {
+                measure.tempos.forEach(tempo => this.writeTempo(tempo, measure));
+            }
+
+            const end = measure.start + measure.length;
+            let written = false;
+            part.voices.forEach((voice, voiceIndex) => {
+                const chords = voice.filter(chord => chord.start < end && chord.end > measure.start);
+                if (chords.length === 0 && voiceIndex > 0) return;
+                if (written) {
+                    this.open('backup');
+                    this.element('duration', measure.length);
+                    this.close('backup');
+                }
+                this.writeVoice(chords, voiceIndex + 1, measure);
+                written = true;
+            });
+
+            this.close('measure');
+        });
+        this.close('part');
+    }
+
+    writeAttributes(part, measure, isFirst) {
+        // У ударных тональности нет
+        const key = part.isDrum ? null : measure.key;
+        if (!isFirst && !measure.showTime && !key) return;
+        this.open('attributes');
+        if (isFirst) this.element('divisions', DIVISIONS);
+        if (key) {
+            this.open('key');
+            this.element('fifths', key.key);
+            this.element('mode', key.scale === 1 ? 'minor' : 'major');
+            this.close('key');
+        }
+        if (measure.showTime) {
+            this.open('time');
+            this.element('beats', measure.numerator);
+            this.element('beat-type', measure.denominator);
+            this.close('time');
+        }
+        if (isFirst) {
+            this.open('clef');
+            if (part.clef === 'percussion') {
+                this.element('sign', 'percussion');
+            } else if (part.clef === 'bass') {
+                this.element('sign', 'F');
+                this.element('line', 4);
+            } else {
+                this.element('sign', 'G');
+                this.element('line', 2);
+            }
+            this.close('clef');
+        }
+        this.close('attributes');
+    }
+
+    writeTempo(tempo, measure) {
+        this.open('direction placement="above"');
+        this.open('direction-type');
+        this.open('metronome');
+        this.element('beat-unit', 'quarter');
+        this.element('per-minute', Math.round(tempo.bpm));
+        this.close('metronome');
+        this.close('direction-type');
+        // Смена темпа внутри такта: смещение от текущей позиции (начала такта)
+        if (tempo.start > measure.start) this.element('offset', tempo.start - measure.start);
+        this.line(`<sound tempo="${tempo.bpm}"/>`);
+        this.close('direction');
+    }
+
+    // Голос в такте: ноты и аккорды, промежутки — паузы; пустой первый голос — целотактовая пауза
+    writeVoice(chords, voice, measure) {
+        const end = measure.start + measure.length;
+        if (chords.length === 0) {
+            this.open('note');
+            this.line('<rest measure="yes"/>');
+            this.element('duration', measure.length);
+            this.element('voice', voice);
+            this.close('note');
+            return;
+        }
+
+        let position = measure.start;
+        chords.forEach(chord => {
+            const start = Math.max(chord.start, measure.start);
+            const stop = Math.min(chord.end, end);
+            if (start > position) this.writeRests(start - position, voice);
+
+            const pieces = splitDuration(stop - start);
+            pieces.forEach((piece, index) => {
+                const tieStop = index > 0 || chord.start < measure.start;
+                const tieStart = index < pieces.length - 1 || chord.end > end;
+                chord.pitches.forEach((pitch, pitchIndex) => {
+                    this.writeNote(pitch, piece, voice, pitchIndex > 0, tieStart, tieStop);
+                });
+            });
+            position = stop;
+        });
+        if (position < end) this.writeRests(end - position, voice);
+    }
+
+    writeRests(length, voice) {
+        splitDuration(length).forEach(piece => {
+            this.open('note');
+            this.line('<rest/>');
+            this.element('duration', piece.duration);
+            this.element('voice', voice);
+            this.writeType(piece);
+            this.close('note');
+        });
+    }
+
+    writeNote(pitch, piece, voice, isChord, tieStart, tieStop) {
+        const drumPart = this.drumPart;
+        const [displayStep, displayOctave, notehead] = drumPart ? drumDisplay(pitch) : [];
+
+        this.open('note');
+        if (isChord) this.line('<chord/>');
+        if (drumPart) {
+            this.open('unpitched');
+            this.element('display-step', displayStep);
+            this.element('display-octave', displayOctave);
+            this.close('unpitched');
+        } else {
+            const names = this.useFlats ? FLAT_NAMES : SHARP_NAMES;
+            const [step, alter] = names[pitch % 12];
+            this.open('pitch');
+            this.element('step', step);
+            if (alter !== 0) this.element('alter', alter);
+            this.element('octave', Math.floor(pitch / 12) - 1);
+            this.close('pitch');
+        }
+        this.element('duration', piece.duration);
+        if (tieStop) this.line('<tie type="stop"/>');
+        if (tieStart) this.line('<tie type="start"/>');
+        if (drumPart) this.line(`<instrument id="${drumPart.id}-I${pitch + 1}"/>`);
+        this.element('voice', voice);
+        this.writeType(piece);
+        if (notehead) this.element('notehead', notehead);
+        if (tieStart || tieStop) {
+            this.open('notations');
+            if (tieStop) this.line('<tied type="stop"/>');
+            if (tieStart) this.line('<tied type="start"/>');
+            this.close('notations');
+        }
+        this.close('note');
+    }
+
+    writeType(piece) {
+        this.element('type', piece.type);
+        for (let i = 0; i < piece.dots; i++) this.line('<dot/>');
+    }
+
+    // ===== ВСПОМОГАТЕЛЬНЫЕ =====
+
+    line(text) {
+        this.lines.push('  '.repeat(this.depth) + text);
+    }
+
+    open(tag) {
+        this.line(`<${tag}>`);
+        this.depth++;
+    }
+
+    close(tag) {
+        this.depth--;
+        this.line(`</${tag}>`);
+    }
+
+    element(tag, value) {
+        this.line(`<${tag}>${escapeXML(value)}</${tag}>`);
+    }
+}
@@ -0,0 +1,210 @@
+import { createSysExState, applySysEx } from './sysex.js';
+import { TempoMap } from './tempo-map.js';
+
+// ===== SONG: НОРМАЛИЗОВАННАЯ МОДЕЛЬ ДЛЯ ВОСПРОИЗВЕДЕНИЯ И ЭКСПОРТА =====
+//
+// Строится один раз из результата MIDIParser (или выбранной последовательности формата 2).
+// Ноты спарены noteOn/noteOff и хранятся в тиках и секундах (без учёта ползунка темпа):
+//   { note, velocity, channel, track, startTick, endTick, startTime, endTime, duration, hanging }
+// Пары ищутся по ключу трек + канал + нота, перекрывающиеся одинаковые ноты
+// закрываются в порядке FIFO (первый noteOff закрывает самый ранний noteOn).
+// «Висящие» ноты без noteOff обрываются на End of Track своего трека
+// (или в конце песни, если трек кончается раньше) и помечаются hanging: true.
+export class Song {
+    // options.onProgress(доля 0..1 обработанных треков) — для загрузки в Web Worker
+    constructor(midiData, options = {}) {
+        this.ticksPerBeat = midiData.ticksPerBeat;
+        this.trackCount = midiData.tracks.length;
+
+        const tempoChanges = [];
+        midiData.tracks.forEach(track => {
+            track.events.forEach(event => {
+                if (event.type === 'tempo') {
+                    tempoChanges.push({
+                        tick: event.time,
+                        microsecondsPerBeat: event.microsecondsPerBeat
+                    });
+                }
+            });
+        });
+
+        this.tempoMap = new TempoMap({
+            ticksPerBeat: midiData.ticksPerBeat,
+            tempoChanges,
+            timeSignatures: midiData.timeSignatureMap || [],
+            isSMPTE: midiData.isSMPTE,
+            ticksPerSecond: midiData.ticksPerSecond
+        });
+
+        this.notes = [];
+        this.events = []; // Все события, кроме нот: { ...event, track, seconds }, по времени
+        this.buildNotes(midiData.tracks, options.onProgress);
+
+        this.sysexTimeline = this.buildSysExTimeline();
+        this.drumChannels = new Set([9]);
+        this.sysexTimeline.forEach(({ state }) => state.drumChannels.forEach(ch => this.drumChannels.add(ch)));
+
+        this.duration = 0;
+        this.notes.forEach(note => {
+            if (note.endTime > this.duration) this.duration = note.endTime;
+        });
+        this.events.forEach(event => {
+            if (event.seconds > this.duration) this.duration = event.seconds;
+        });
+    }
+
+    buildNotes(tracks, onProgress) {
+        const lastTick = tracks.reduce((max, track) => {
+            const events = track.events;
+            return events.length > 0 ? Math.max(max, events[events.length - 1].time) : max;
+        }, 0);
+
+        tracks.forEach((track, trackIndex) => {
+            const pending = new Map(); // ключ → очередь noteOn (FIFO)
+            const endOfTrack = track.events.find(event => event.type === 'endOfTrack');
+            const trackEnd = endOfTrack ? endOfTrack.time : lastTick;
+
+            track.events.forEach(event => {
+                if (event.type === 'noteOn') {
+                    const key = event.channel * 128 + event.note;
+                    if (!pending.has(key)) pending.set(key, []);
+                    pending.get(key).push(event);
+                } else if (event.type === 'noteOff') {
+                    const queue = pending.get(event.channel * 128 + event.note);
+                    if (queue && queue.length > 0) {
+                        this.addNote(queue.shift(), event.time, trackIndex, false);
+                    }
+                } else {
+                    this.events.push({ ...event, track: trackIndex, seconds: this.ticksToSeconds(event.time) });
+                }
+            });
+
+            pending.forEach(queue => {
+                queue.forEach(noteOn => {
+                    const endTick = noteOn.time < trackEnd ? trackEnd : Math.max(lastTick, noteOn.time);
+                    this.addNote(noteOn, endTick, trackIndex, true);
+                });
+            });
+
+            if (onProgress) onProgress((trackIndex + 1) / tracks.length);
+        });
+
+        this.notes.sort((a, b) => a.startTick - b.startTick || a.track - b.track);
+        this.events.sort((a, b) => a.time - b.time || a.track - b.track);
+    }
+
+    addNote(noteOn, endTick, track, hanging) {
+        const startTime = this.ticksToSeconds(noteOn.time);
+        const endTime = this.ticksToSeconds(endTick);
+        this.notes.push({
+            note: noteOn.note,
+            velocity: noteOn.velocity,
+            channel: noteOn.channel,
+            track,
+            startTick: noteOn.time,
+            endTick,
+            startTime,
+            endTime,
+            duration: endTime - startTime,
+            hanging
+        });
+    }
+
+    ticksToSeconds(ticks) {
+        return this.tempoMap.ticksToSeconds(ticks);
+    }
+
+    // Последний тик песни (для числа тактов)
+    get lastTick() {
+        return this.tempoMap.secondsToTicks(this.duration);
+    }
+
+    // Ноты конкретного трека (в порядке начала)
+    notesForTrack(trackIndex) {
+        return this.notes.filter(note => note.track === trackIndex);
+    }
+
+    // Упаковка для передачи из Web Worker: ноты — в типизированных массивах,
+    // их буферы передаются без копирования (transfer)
+    toTransferable() {
+        const count = this.notes.length;
+        const packed = {
+            note: new Uint8Array(count),
+            velocity: new Uint8Array(count),
+            channel: new Uint8Array(count),
+            hanging: new Uint8Array(count),
+            track: new Uint32Array(count),
+            startTick: new Float64Array(count),
+            endTick: new Float64Array(count),
+            startTime: new Float64Array(count),
+            endTime: new Float64Array(count)
+        };
+        this.notes.forEach((note, i) => {
+            packed.note[i] = note.note;
+            packed.velocity[i] = note.velocity;
+            packed.channel[i] = note.channel;
+            packed.hanging[i] = note.hanging ? 1 : 0;
+            packed.track[i] = note.track;
+            packed.startTick[i] = note.startTick;
+            packed.endTick[i] = note.endTick;
+            packed.startTime[i] = note.startTime;
+            packed.endTime[i] = note.endTime;
+        });
+
+        const payload = { ...this, notes: packed };
+        const transfer = Object.values(packed).map(array => array.buffer);
+        return { payload, transfer };
+    }
+
+    static fromTransferable(payload) {
+        const song = Object.create(Song.prototype);
+        Object.assign(song, payload);
+        song.tempoMap = Object.assign(Object.create(TempoMap.prototype), payload.tempoMap);
+
+        const packed = payload.notes;
+        song.notes = new Array(packed.note.length);
+        for (let i = 0; i < packed.note.length; i++) {
+            song.notes[i] = {
+                note: packed.note[i],
+                velocity: packed.velocity[i],
+                channel: packed.channel[i],
+                track: packed.track[i],
+                startTick: packed.startTick[i],
+                endTick: packed.endTick[i],
+                startTime: packed.startTime[i],
+                endTime: packed.endTime[i],
+                duration: packed.endTime[i] - packed.startTime[i],
+                hanging: packed.hanging[i] === 1
+            };
+        }
+        return song;
+    }
+
+    // Хронология SysEx-состояния в секундах: [{ time, state }], первая запись — состояние по умолчанию
+    buildSysExTimeline() {
+        const timeline = [{ time: 0, state: createSysExState() }];
+        this.events.forEach(event => {
+            if (event.type !== 'sysex' || !event.message) return;
+            const previous = timeline[timeline.length - 1].state;
+            const state = applySysEx({ ...previous, drumChannels: new Set(previous.drumChannels) }, event.message);
+            timeline.push({ time: event.seconds, state });
+        });
+        return timeline;
+    }
+
+    // Состояние GM/GS/XG на момент времени (в секундах); двоичный поиск — вызывается на каждую ноту
+    sysExStateAt(time) {
+        const timeline = this.sysexTimeline;
+        let low = 0;
+        let high = timeline.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (timeline[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return timeline[low].state;
+    }
+}
@@ -0,0 +1,124 @@
+// ===== SYSTEM EXCLUSIVE (GM / GS / XG) =====
+
+const MANUFACTURER_UNIVERSAL_NON_REALTIME = 0x7E;
+const MANUFACTURER_UNIVERSAL_REALTIME = 0x7F;
+const MANUFACTURER_ROLAND = 0x41;
+const MANUFACTURER_YAMAHA = 0x43;
+
+const ROLAND_MODEL_GS = 0x42;
+const ROLAND_COMMAND_DT1 = 0x12;
+const YAMAHA_MODEL_XG = 0x4C;
+
+// GS нумерует партии блоками: блок 0 — партия 10 (ударные), блоки 1-9 — партии 1-9, A-F — 11-16
+function gsBlockToChannel(block) {
+    if (block === 0) return 9;
+    if (block <= 9) return block - 1;
+    return block;
+}
+
+// Контрольная сумма Roland: сумма адреса и данных + checksum ≡ 0 (mod 128)
+function gsChecksumValid(body) {
+    const sum = body.reduce((acc, byte) => acc + byte, 0);
+    return (sum & 0x7F) === 0;
+}
+
+// Распознаёт известные SysEx-сообщения.
+// bytes — содержимое события без начального 0xF0 (как в SMF), обычно с завершающим 0xF7.
+// Возвращает описание сообщения ({ kind, ... }) или null, если сообщение не поддерживается.
+export function identifySysEx(bytes) {
+    const data = bytes[bytes.length - 1] === 0xF7 ? bytes.slice(0, -1) : bytes;
+    if (data.length < 3) return null;
+
+    const manufacturer = data[0];
+
+    if (manufacturer === MANUFACTURER_UNIVERSAL_NON_REALTIME && data[2] === 0x09) {
+        if (data[3] === 0x01) return { kind: 'gmSystemOn' };
+        if (data[3] === 0x02) return { kind: 'gmSystemOff' };
+        if (data[3] === 0x03) return { kind: 'gm2SystemOn' };
+        return null;
+    }
+
+    if (manufacturer === MANUFACTURER_UNIVERSAL_REALTIME && data[2] === 0x04 && data[3] === 0x01 && data.length >= 6) {
+        const value = (data[5] << 7) | data[4];
+        return { kind: 'masterVolume', volume: value / 16383 };
+    }
+
+    if (manufacturer === MANUFACTURER_ROLAND && data[2] === ROLAND_MODEL_GS && data[3] === ROLAND_COMMAND_DT1 && data.length >= 9) {
+        if (!gsChecksumValid(data.slice(4))) return null;
+
+        const [a1, a2, a3] = [data[4], data[5], data[6]];
+        const value = data[7];
+
+        if ((a1 === 0x40 && a2 === 0x00 && a3 === 0x7F) || (a1 === 0x00 && a2 === 0x00 && a3 === 0x7F)) {
+            return { kind: 'gsReset' };
+        }
+        if (a1 === 0x40 && a2 === 0x00 && a3 === 0x04) {
+            return { kind: 'masterVolume', volume: value / 127 };
+        }
+        if (a1 === 0x40 && (a2 & 0xF0) === 0x10 && a3 === 0x15) {
+            return { kind: 'drumPart', channel: gsBlockToChannel(a2 & 0x0F), drum: value !== 0 };
+        }
+        return null;
+    }
+
+    if (manufacturer === MANUFACTURER_YAMAHA && (data[1] & 0xF0) === 0x10 && data[2] === YAMAHA_MODEL_XG && data.length >= 7) {
+        const [a1, a2, a3] = [data[3], data[4], data[5]];
+        const value = data[6];
+
+        if (a1 === 0x00 && a2 === 0x00 && a3 === 0x7E) {
+            return { kind: 'xgSystemOn' };
+        }
+        if (a1 === 0x00 && a2 === 0x00 && a3 === 0x04) {
+            return { kind: 'masterVolume', volume: value / 127 };
+        }
+        if (a1 === 0x08 && a2 < 16 && a3 === 0x07) {
+            return { kind: 'drumPart', channel: a2, drum: value !== 0 };
+        }
+        return null;
+    }
+
+    return null;
+}
+
+// Состояние синтезатора, на которое влияют SysEx-сообщения
+export function createSysExState() {
+    return {
+        mode: 'gm',
+        drumChannels: new Set([9]),
+        masterVolume: 1
+    };
+}
+
+// Применяет распознанное сообщение к состоянию (мутирует state)
+export function applySysEx(state, message) {
+    switch (message.kind) {
+        case 'gmSystemOn':
+        case 'gm2SystemOn':
+        case 'gmSystemOff':
+        case 'gsReset':
+        case 'xgSystemOn': {
+            const fresh = createSysExState();
+            state.drumChannels = fresh.drumChannels;
+            state.masterVolume = fresh.masterVolume;
+            state.mode = {
+                gmSystemOn: 'gm',
+                gm2SystemOn: 'gm2',
+                gmSystemOff: 'gm',
+                gsReset: 'gs',
+                xgSystemOn: 'xg'
+            }[message.kind];
+            break;
+        }
+        case 'masterVolume':
+            state.masterVolume = Math.max(0, Math.min(1, message.volume));
+            break;
+        case 'drumPart':
+            if (message.drum) {
+                state.drumChannels.add(message.channel);
+            } else {
+                state.drumChannels.delete(message.channel);
+            }
+            break;
+    }
+    return state;
+}
@@ -0,0 +1,128 @@
+// ===== TEMPO MAP: ТИКИ ⇄ СЕКУНДЫ ⇄ ТАКТЫ:ДОЛИ =====
+//
+// Сегменты темпа и размера считаются один раз, запросы — бинарным поиском (O(log n)).
+// Темп по умолчанию — 120 BPM (500000 мкс/четверть), размер по умолчанию — 4/4.
+// Для SMPTE-файлов тики — абсолютное время: секунды = тики / ticksPerSecond.
+
+const DEFAULT_MICROSECONDS_PER_BEAT = 500000;
+
+// Индекс последнего элемента, для которого key(item) <= value (элемент 0 всегда подходит)
+function findSegment(segments, value, key) {
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (key(segments[mid]) <= value) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+export class TempoMap {
+    // tempoChanges: [{ tick, microsecondsPerBeat }], timeSignatures: [{ time, numerator, denominator }]
+    constructor({ ticksPerBeat, tempoChanges = [], timeSignatures = [], isSMPTE = false, ticksPerSecond = 0 }) {
+        this.ticksPerBeat = ticksPerBeat;
+        this.isSMPTE = isSMPTE;
+        this.ticksPerSecond = ticksPerSecond;
+        this.tempoSegments = this.buildTempoSegments(tempoChanges);
+        this.meterSegments = this.buildMeterSegments(timeSignatures);
+    }
+
+    // [{ tick, seconds, microsecondsPerBeat }] — накопленное время на начало каждого сегмента
+    buildTempoSegments(tempoChanges) {
+        const sorted = [...tempoChanges].sort((a, b) => a.tick - b.tick);
+        const segments = [{ tick: 0, seconds: 0, microsecondsPerBeat: DEFAULT_MICROSECONDS_PER_BEAT }];
+
+        sorted.forEach(change => {
+            const last = segments[segments.length - 1];
+            if (change.tick === last.tick) {
+                // Несколько смен темпа на одном тике: действует последняя
+                last.microsecondsPerBeat = change.microsecondsPerBeat;
+                return;
+            }
+            const seconds = last.seconds +
+                ((change.tick - last.tick) / this.ticksPerBeat) * (last.microsecondsPerBeat / 1000000);
+            segments.push({ tick: change.tick, seconds, microsecondsPerBeat: change.microsecondsPerBeat });
+        });
+
+        return segments;
+    }
+
+    // [{ tick, bar, numerator, denominator, ticksPerBar, ticksPerBeat }], bar — номер такта (с 0) на tick.
+    // Смена размера не на границе такта начинает новый такт.
+    buildMeterSegments(timeSignatures) {
+        const sorted = [...timeSignatures].sort((a, b) => a.time - b.time);
+        const makeSegment = (tick, bar, numerator, denominator) => {
+            const beatTicks = this.ticksPerBeat * 4 / denominator;
+            return { tick, bar, numerator, denominator, ticksPerBeat: beatTicks, ticksPerBar: beatTicks * numerator };
+        };
+        const segments = [makeSegment(0, 0, 4, 4)];
+
+        sorted.forEach(signature => {
+            const last = segments[segments.length - 1];
+            if (signature.time === last.tick) {
+                segments[segments.length - 1] = makeSegment(last.tick, last.bar, signature.numerator, signature.denominator);
+                return;
+            }
+            const bar = last.bar + Math.ceil((signature.time - last.tick) / last.ticksPerBar);
+            segments.push(makeSegment(signature.time, bar, signature.numerator, signature.denominator));
+        });
+
+        return segments;
+    }
+
+    ticksToSeconds(ticks) {
+        if (this.isSMPTE) {
+            return ticks / this.ticksPerSecond;
+        }
+        const segment = this.tempoSegments[findSegment(this.tempoSegments, ticks, s => s.tick)];
+        return segment.seconds + ((ticks - segment.tick) / this.ticksPerBeat) * (segment.microsecondsPerBeat / 1000000);
+    }
+
+    secondsToTicks(seconds) {
+        if (this.isSMPTE) {
+            return seconds * this.ticksPerSecond;
+        }
+        const segment = this.tempoSegments[findSegment(this.tempoSegments, seconds, s => s.seconds)];
+        return segment.tick + ((seconds - segment.seconds) * 1000000 / segment.microsecondsPerBeat) * this.ticksPerBeat;
+    }
+
+    // Темп (мкс/четверть), действующий на тике
+    microsecondsPerBeatAt(ticks) {
+        return this.tempoSegments[findSegment(this.tempoSegments, ticks, s => s.tick)].microsecondsPerBeat;
+    }
+
+    // Размер, действующий на тике: { numerator, denominator, ... }
+    timeSignatureAt(ticks) {
+        return this.meterSegments[findSegment(this.meterSegments, ticks, s => s.tick)];
+    }
+
+    // { bar, beat, tick } — такт и доля с 1, tick — остаток внутри доли
+    ticksToBarBeat(ticks) {
+        const segment = this.timeSignatureAt(ticks);
+        const offset = Math.max(0, ticks - segment.tick);
+        const barsInSegment = Math.floor(offset / segment.ticksPerBar);
+        const inBar = offset - barsInSegment * segment.ticksPerBar;
+        const beat = Math.floor(inBar / segment.ticksPerBeat);
+        return {
+            bar: segment.bar + barsInSegment + 1,
+            beat: beat + 1,
+            tick: inBar - beat * segment.ticksPerBeat,
+            numerator: segment.numerator,
+            denominator: segment.denominator
+        };
+    }
+
+    // Обратное преобразование: такт и доля с 1
+    barBeatToTicks(bar, beat = 1, tick = 0) {
+        const barIndex = Math.max(0, bar - 1);
+        const segment = this.meterSegments[findSegment(this.meterSegments, barIndex, s => s.bar)];
+        return segment.tick +
+            (barIndex - segment.bar) * segment.ticksPerBar +
+            (Math.max(1, beat) - 1) * segment.ticksPerBeat +
+            tick;
+    }
+}
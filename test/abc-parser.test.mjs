@@ -0,0 +1,16 @@
+// Запуск: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ABCParser } from '../js/abc-parser.js';
+
+const pitches = body => new ABCParser(`X:1\nL:1/4\nK:C\n${body}`).parse().tracks[0].notes.map(note => note.note);
+
+test('повтор с двумя вольтами', () => {
+    assert.deepEqual(pitches('|: C D |1 E F :|2 G A |]'), [60, 62, 64, 65, 60, 62, 67, 69]);
+});
+
+test('после второй вольты новая секция |: повторяется целиком', () => {
+    assert.deepEqual(pitches('|: C D |1 E F :|2 G A |: c d :|'),
+        [60, 62, 64, 65, 60, 62, 67, 69, 72, 74, 72, 74]);
+});
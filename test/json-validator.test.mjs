@@ -0,0 +1,23 @@
+// Запуск: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNoteJSON } from '../js/json-validator.js';
+
+function smpteOffsetErrors(fields) {
+    const event = { type: 'smpteOffset', time: 0, minutes: 0, seconds: 0, subFrames: 0, ...fields };
+    const { errors } = validateNoteJSON(JSON.stringify({ tracks: [{ events: [event] }] }));
+    return errors.map(error => error.path);
+}
+
+test('SMPTE Offset: часы — все 5 бит байта часов', () => {
+    assert.deepEqual(smpteOffsetErrors({ frameRate: 30, hours: 31, frames: 0 }), []);
+    assert.deepEqual(smpteOffsetErrors({ frameRate: 30, hours: 32, frames: 0 }), ['$.tracks[0].events[0].hours']);
+});
+
+test('SMPTE Offset: номер кадра проверяется по частоте', () => {
+    assert.deepEqual(smpteOffsetErrors({ frameRate: 30, hours: 0, frames: 29 }), []);
+    assert.deepEqual(smpteOffsetErrors({ frameRate: 25, hours: 0, frames: 24 }), []);
+    assert.deepEqual(smpteOffsetErrors({ frameRate: 25, hours: 0, frames: 25 }), ['$.tracks[0].events[0].frames']);
+    assert.deepEqual(smpteOffsetErrors({ hours: 0, frames: 24 }), ['$.tracks[0].events[0].frames']);
+});
@@ -0,0 +1,58 @@
+// Запуск: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIDIParser } from '../js/midi-parser.js';
+import { validateMIDI } from '../js/midi-validator.js';
+
+// Файл формата 0 с одним треком; chunks — дополнительные чанки после него
+function midiFile(track, { division = 96, chunks = [] } = {}) {
+    const chunk = (id, data) => [...id].map(c => c.charCodeAt(0)).concat([0, 0, data.length >> 8, data.length & 0xFF], data);
+    return new Uint8Array([
+        ...chunk('MThd', [0, 0, 0, 1, division >> 8, division & 0xFF]),
+        ...chunk('MTrk', track),
+        ...chunks.flatMap(([id, data]) => chunk(id, data))
+    ]).buffer;
+}
+
+function validate(buffer) {
+    const { song, warnings } = MIDIParser.parseLenient(buffer);
+    return validateMIDI(song, warnings);
+}
+
+function severityOf(report, code) {
+    return report.issues.find(issue => issue.code === code)?.severity;
+}
+
+const TEMPO = [0, 0xFF, 0x51, 3, 0x07, 0xA1, 0x20];
+const END = [0, 0xFF, 0x2F, 0];
+
+test('восстанавливаемые отклонения формата — предупреждения', () => {
+    const track = [...TEMPO, 0, 0x90, 60, 100, 0, 0xFF, 0x01, 1, 0x41, 10, 60, 0, ...END];
+    const report = validate(midiFile(track, { chunks: [['XFIH', [1, 2]], ['MTrk', END]] }));
+    assert.equal(severityOf(report, 'RUNNING_STATUS_AFTER_META'), 'warning');
+    assert.equal(severityOf(report, 'UNKNOWN_CHUNK'), 'warning');
+    assert.equal(severityOf(report, 'EXTRA_TRACK'), 'warning');
+    assert.equal(report.summary.errors, 0);
+});
+
+test('обрезанный трек — ошибка', () => {
+    const track = [...TEMPO, 0, 0x90, 60, 100, 10, 0x80, 60, 0, ...END];
+    const bytes = new Uint8Array(midiFile(track)).slice(0, -6);
+    const report = validate(bytes.buffer);
+    assert.equal(severityOf(report, 'TRACK_TRUNCATED'), 'error');
+});
+
+test('нулевое деление времени в заголовке — ошибка', () => {
+    const report = validate(midiFile([...TEMPO, 0, 0x90, 60, 100, 10, 0x80, 60, 0, ...END], { division: 0 }));
+    assert.equal(severityOf(report, 'ZERO_DIVISION'), 'error');
+    assert.equal(report.issues.find(issue => issue.code === 'ZERO_DIVISION').position, null);
+});
+
+test('нулевой темп — ошибка с позицией события', () => {
+    const report = validate(midiFile([0, 0x90, 60, 100, 96, 0xFF, 0x51, 3, 0, 0, 0, 0, 0x80, 60, 0, ...END]));
+    const issue = report.issues.find(issue => issue.code === 'ZERO_TEMPO');
+    assert.equal(issue.severity, 'error');
+    assert.equal(issue.tick, 96);
+    assert.equal(issue.position, '1:2');
+});
@@ -0,0 +1,36 @@
+// Запуск: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIDIWriter } from '../js/midi-writer.js';
+import { MIDIParser } from '../js/midi-parser.js';
+import { midiToFullJSON } from '../js/midi-json.js';
+
+// Трек в сотни килобайт: раньше запись падала с RangeError (переполнение стека)
+test('записывает трек из 50 000 нот', () => {
+    const notes = Array.from({ length: 50000 }, (_, i) => ({ note: 36 + i % 48, time: i * 0.01, duration: 0.01 }));
+    const bytes = new MIDIWriter().createMIDI({ tracks: [{ notes }] });
+    const midi = new MIDIParser(bytes.buffer).parse();
+    const noteOns = midi.tracks[0].events.filter(event => event.type === 'noteOn');
+    assert.equal(noteOns.length, 50000);
+});
+
+test('полный JSON большого файла записывается без потерь', () => {
+    const notes = Array.from({ length: 60000 }, (_, i) => ({ note: 60 + i % 12, time: i * 0.005, duration: 0.004 }));
+    const original = new MIDIParser(new MIDIWriter().createMIDI({ tracks: [{ notes }] }).buffer).parse();
+    const bytes = new MIDIWriter().createMIDI(midiToFullJSON(original));
+    const roundTripped = new MIDIParser(bytes.buffer).parse();
+    assert.deepEqual(midiToFullJSON(roundTripped), midiToFullJSON(original));
+});
+
+test('события после End of Track сохраняются в полном JSON и записываются обратно', () => {
+    const track = [0, 0x90, 60, 100, 10, 0x80, 60, 0, 0, 0xFF, 0x2F, 0, 5, 0x90, 61, 100];
+    const bytes = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+        0x4D, 0x54, 0x72, 0x6B, 0, 0, 0, track.length, ...track];
+    const { song } = MIDIParser.parseLenient(new Uint8Array(bytes).buffer);
+    const json = midiToFullJSON(song);
+    assert.equal(json.tracks[0].eventsAfterEnd.length, 1);
+
+    const written = new MIDIWriter().createMIDI(json);
+    assert.deepEqual([...written], bytes);
+});